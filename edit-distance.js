@@ -31,13 +31,274 @@ const Helpers = require('./helpers')
 /// The methods in this class are not threadsafe. Use the static versions in the Distance
 /// class if that is required.</remarks>
 class EditDistance {
-	constructor () {
+	/// <summary>The distance algorithms compare can use.</summary>
+	/// <remarks>LEVENSHTEIN counts insertions, deletions and substitutions, DAMERAU_OSA (the default) also
+	/// counts transpositions of adjacent characters as one edit, and DAMERAU is the unrestricted
+	/// Damerau-Levenshtein distance where transposed characters can also be edited ("CA" to "ABC" is 2).</remarks>
+	static get Algorithm () {
+		return {
+			LEVENSHTEIN: 0,
+			DAMERAU_OSA: 1,
+			DAMERAU: 2
+		}
+	}
+
+	/// <param name="algorithm">The algorithm used by compare, one of EditDistance.Algorithm.</param>
+	constructor (algorithm = EditDistance.Algorithm.DAMERAU_OSA) {
+		if (!Object.values(EditDistance.Algorithm).includes(algorithm)) {
+			throw new Error(`Unknown distance algorithm ${algorithm}`)
+		}
+
+		this.algorithm = algorithm
 		this.baseChar1Costs = []
 		this.basePrevChar1Costs = []
 	}
 
+	/// <summary>Find the edits turning one string into the other, e.g. to highlight the characters a correction changed.</summary>
+	/// <remarks>The edits of the distance of algorithm, as many as the distance, from a full matrix of the distances
+	/// between the beginnings of the strings. Among equally short edit scripts, matching characters are kept first, then
+	/// transpositions, substitutions, deletions and insertions are preferred in this order. With the unrestricted
+	/// Damerau-Levenshtein distance, the transposed characters can be apart: the characters of string1 between them are
+	/// deleted and the characters of string2 between them inserted, as edits of their own following the transposition.</remarks>
+	/// <param name="string1">The string being corrected.</param>
+	/// <param name="string2">The string it is turned into.</param>
+	/// <param name="algorithm">One of EditDistance.Algorithm.</param>
+	/// <returns>The edits in the order of the strings, each with its operation ('insert', 'delete', 'substitute' or
+	/// 'transpose'), its sourcePosition in string1 and targetPosition in string2, and the source characters of string1
+	/// and target characters of string2 it changes ('' for the missing side of insertions and deletions).</returns>
+	static align (string1, string2, algorithm = EditDistance.Algorithm.DAMERAU_OSA) {
+		const len1 = string1.length
+		const len2 = string2.length
+		const transpositions = algorithm !== EditDistance.Algorithm.LEVENSHTEIN
+		const unrestricted = algorithm === EditDistance.Algorithm.DAMERAU
+		// costs[i][j] is the distance between the first i characters of string1 and the first j of string2
+		const costs = []
+
+		// The characters at rows k and l (counted from 1) swapped with the last characters of the first i characters of
+		// string1 and the first j of string2, or null if they can't be transposed. Only adjacent characters for the
+		// optimal string alignment, otherwise the last occurrences of the characters before them (see damerau).
+		const transposition = (i, j) => {
+			if (!transpositions || i < 2 || j < 2 || string1[i - 1] === string2[j - 1]) {
+				return null
+			}
+
+			if (!unrestricted) {
+				return (string1[i - 1] === string2[j - 2] && string1[i - 2] === string2[j - 1]) ? [i - 1, j - 1] : null
+			}
+
+			const k = string1.lastIndexOf(string2[j - 1], i - 2) + 1
+			const l = string2.lastIndexOf(string1[i - 1], j - 2) + 1
+
+			return (k > 0 && l > 0) ? [k, l] : null
+		}
+
+		// the cost of the transposition, including the deletions and insertions between the transposed characters
+		const transpositionCost = ([k, l], i, j) => costs[k - 1][l - 1] + (i - k - 1) + 1 + (j - l - 1)
+
+		for (let i = 0; i <= len1; i++) {
+			costs.push([i])
+
+			for (let j = 1; j <= len2; j++) {
+				if (i === 0) {
+					costs[i].push(j)
+					continue
+				}
+
+				let cost = Math.min(
+					costs[i - 1][j] + 1,
+					costs[i][j - 1] + 1,
+					costs[i - 1][j - 1] + ((string1[i - 1] === string2[j - 1]) ? 0 : 1)
+				)
+
+				const transposed = transposition(i, j)
+
+				if (transposed !== null) {
+					cost = Math.min(cost, transpositionCost(transposed, i, j))
+				}
+
+				costs[i].push(cost)
+			}
+		}
+
+		const edits = []
+
+		const edit = (operation, sourcePosition, targetPosition, source, target) => {
+			edits.push({ operation, sourcePosition, targetPosition, source, target })
+		}
+
+		// back from the end of both strings, through the cells the distance came from, adding the edits in reverse order
+		for (let i = len1, j = len2; i > 0 || j > 0;) {
+			const cost = costs[i][j]
+			const transposed = (i > 0 && j > 0) ? transposition(i, j) : null
+
+			if (i > 0 && j > 0 && string1[i - 1] === string2[j - 1] && cost === costs[i - 1][j - 1]) {
+				i--
+				j--
+			}
+			else if (transposed !== null && cost === transpositionCost(transposed, i, j)) {
+				const [k, l] = transposed
+
+				for (let position = j - 2; position >= l; position--) {
+					edit('insert', i - 1, position, '', string2[position])
+				}
+
+				for (let position = i - 2; position >= k; position--) {
+					edit('delete', position, l, string1[position], '')
+				}
+
+				edit('transpose', k - 1, l - 1, string1[k - 1] + string1[i - 1], string2[l - 1] + string2[j - 1])
+				i = k - 1
+				j = l - 1
+			}
+			else if (i > 0 && j > 0 && cost === costs[i - 1][j - 1] + 1) {
+				i--
+				j--
+				edit('substitute', i, j, string1[i], string2[j])
+			}
+			else if (i > 0 && cost === costs[i - 1][j] + 1) {
+				i--
+				edit('delete', i, j, string1[i], '')
+			}
+			else {
+				j--
+				edit('insert', i, j, '', string2[j])
+			}
+		}
+
+		return edits.reverse()
+	}
+
 	compare (string1, string2, maxDistance) {
-		return this.distance(string1, string2, maxDistance)
+		switch (this.algorithm) {
+		case EditDistance.Algorithm.LEVENSHTEIN:
+			return this.levenshtein(string1, string2, maxDistance)
+		case EditDistance.Algorithm.DAMERAU:
+			return this.damerau(string1, string2, maxDistance)
+		default:
+			return this.distance(string1, string2, maxDistance)
+		}
+	}
+
+	/// <summary>Compute and return the Levenshtein edit distance between two strings.</summary>
+	/// <param name="string1">One of the strings to compare.</param>
+	/// <param name="string2">The other string to compare.</param>
+	/// <param name="maxDistance">The maximum distance that is of interest.</param>
+	/// <returns>-1 if the distance is greater than the maxDistance, otherwise the number of
+	/// insertions, deletions and substitutions turning one string into the other.</returns>
+	levenshtein (string1 = null, string2 = null, maxDistance) {
+		if (string1 === null || string2 === null) {
+			return Helpers.nullDistanceResults(string1, string2, maxDistance)
+		}
+
+		if (maxDistance <= 0) {
+			return (string1 === string2) ? 0 : -1
+		}
+
+		if (string1.length > string2.length) {
+			const t = string1
+			string1 = string2
+			string2 = t
+		}
+
+		if (string2.length - string1.length > maxDistance) {
+			return -1
+		}
+
+		// identify common suffix and/or prefix that can be ignored
+		const { len1, len2, start } = Helpers.prefixSuffixPrep(string1, string2)
+		const costs = new Array(len2 + 1)
+
+		for (let j = 0; j <= len2; j++) {
+			costs[j] = j
+		}
+
+		for (let i = 1; i <= len1; i++) {
+			const char1 = string1[start + i - 1]
+			let diagonalCost = costs[0]
+			let rowMin = i
+			costs[0] = i
+
+			for (let j = 1; j <= len2; j++) {
+				const aboveCost = costs[j]
+				costs[j] = Math.min(aboveCost + 1, costs[j - 1] + 1, diagonalCost + ((char1 === string2[start + j - 1]) ? 0 : 1))
+				diagonalCost = aboveCost
+				rowMin = Math.min(rowMin, costs[j])
+			}
+
+			// every path to the end goes through this row
+			if (rowMin > maxDistance) {
+				return -1
+			}
+		}
+
+		return (costs[len2] <= maxDistance) ? costs[len2] : -1
+	}
+
+	/// <summary>Compute and return the unrestricted Damerau-Levenshtein edit distance between two
+	/// strings, where a substring can be edited more than once (unlike the optimal string alignment
+	/// of distance).</summary>
+	/// <remarks>Lowrance-Wagner algorithm, see https://en.wikipedia.org/wiki/Damerau%E2%80%93Levenshtein_distance</remarks>
+	/// <param name="string1">One of the strings to compare.</param>
+	/// <param name="string2">The other string to compare.</param>
+	/// <param name="maxDistance">The maximum distance that is of interest.</param>
+	/// <returns>-1 if the distance is greater than the maxDistance, otherwise the number of
+	/// insertions, deletions, substitutions and transpositions turning one string into the other.</returns>
+	damerau (string1 = null, string2 = null, maxDistance) {
+		if (string1 === null || string2 === null) {
+			return Helpers.nullDistanceResults(string1, string2, maxDistance)
+		}
+
+		const len1 = string1.length
+		const len2 = string2.length
+
+		if (Math.abs(len1 - len2) > maxDistance) {
+			return -1
+		}
+
+		// costs[i + 1][j + 1] is the distance between the first i characters of string1 and the first j of string2,
+		// bordered by a row and column larger than any distance
+		const infinity = len1 + len2
+		const costs = [new Array(len2 + 2).fill(infinity)]
+
+		for (let i = 0; i <= len1; i++) {
+			costs.push([infinity, i].concat(new Array(len2).fill(0)))
+		}
+
+		for (let j = 0; j <= len2; j++) {
+			costs[1][j + 1] = j
+		}
+
+		// last row of string1 where each character was seen
+		const lastRows = new Map()
+
+		for (let i = 1; i <= len1; i++) {
+			// last column of string2 matching the character of this row
+			let lastMatchColumn = 0
+
+			for (let j = 1; j <= len2; j++) {
+				const lastMatchRow = lastRows.get(string2[j - 1]) || 0
+				const previousMatchColumn = lastMatchColumn
+				let cost = 1
+
+				if (string1[i - 1] === string2[j - 1]) {
+					cost = 0
+					lastMatchColumn = j
+				}
+
+				costs[i + 1][j + 1] = Math.min(
+					costs[i][j] + cost,
+					costs[i + 1][j] + 1,
+					costs[i][j + 1] + 1,
+					costs[lastMatchRow][previousMatchColumn] + (i - lastMatchRow - 1) + 1 + (j - previousMatchColumn - 1)
+				)
+			}
+
+			lastRows.set(string1[i - 1], i)
+		}
+
+		const distance = costs[len1 + 1][len2 + 1]
+
+		return (distance <= maxDistance) ? distance : -1
 	}
 
 	/// <summary>Compute and return the Damerau-Levenshtein optimal string
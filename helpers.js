@@ -1,7 +1,16 @@
+const fs = require('fs')
+const stream = require('stream')
+const util = require('util')
+const zlib = require('zlib')
+const { StringDecoder } = require('string_decoder')
 const difflib = require('difflib')
 const itertools = require('iter-tools')
 
 const { zip, zipLongest } = itertools
+const pipeline = util.promisify(stream.pipeline)
+
+// number of characters buffered before a chunk is handed over to the output stream by writeLines
+const WRITE_CHUNK_SIZE = 1 << 16
 
 const isAcronym = (word) => {
 	// """Checks is the word is all caps (acronym) and/or contain numbers
@@ -233,11 +242,93 @@ const prefixSuffixPrep = (string1, string2) => {
 	return { len1, len2, start }
 }
 
+// first two bytes of gzip compressed data
+const isGzip = (data) => data.length > 1 && data[0] === 0x1f && data[1] === 0x8b
+
+// A string without line breaks is the path+filename of a file, otherwise it is read as the content itself (see readLines).
+const isFilePath = (source) => typeof source === 'string' && !/[\r\n]/.test(source)
+
+// Read a dictionary or corpus line by line.
+// source: One of
+// - the path+filename of a file, which is decompressed if the name ends with .gz
+// - a string containing line breaks, which is read as the content itself
+// - a Buffer (or any Uint8Array), which is decompressed if it contains gzip data
+// - a Readable stream
+// - an iterable (or async iterable) of entries, which are yielded as they are
+const readLines = async function * (source) {
+	if (isFilePath(source)) {
+		const input = fs.createReadStream(source)
+		source = source.endsWith('.gz') ? stream.pipeline(input, zlib.createGunzip(), () => {}) : input
+	}
+
+	if (ArrayBuffer.isView(source)) {
+		source = (isGzip(source) ? zlib.gunzipSync(source) : Buffer.from(source.buffer, source.byteOffset, source.byteLength)).toString('utf8')
+	}
+
+	if (typeof source === 'string') {
+		yield * source.split(/\r?\n/)
+
+		return
+	}
+
+	if (typeof source.pipe !== 'function') {
+		yield * source
+
+		return
+	}
+
+	const decoder = new StringDecoder('utf8')
+	let remainder = ''
+
+	for await (const chunk of source) {
+		const lines = (remainder + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split(/\r?\n/)
+		remainder = lines.pop()
+		yield * lines
+	}
+
+	remainder += decoder.end()
+
+	if (remainder.length > 0) {
+		yield remainder
+	}
+}
+
+// Write lines to a file, one per line, without building the whole content in memory.
+// file: The path+filename of the file, which is compressed if it ends with .gz.
+// lines: An iterable of strings (without line breaks).
+const writeLines = (file, lines) => {
+	const chunks = function * () {
+		let chunk = ''
+
+		for (const line of lines) {
+			chunk += line + '\n'
+
+			if (chunk.length >= WRITE_CHUNK_SIZE) {
+				yield chunk
+				chunk = ''
+			}
+		}
+
+		if (chunk.length > 0) {
+			yield chunk
+		}
+	}
+
+	if (file.endsWith('.gz')) {
+		return pipeline(stream.Readable.from(chunks()), zlib.createGzip(), fs.createWriteStream(file))
+	}
+
+	return pipeline(stream.Readable.from(chunks()), fs.createWriteStream(file, 'utf8'))
+}
+
 module.exports = {
 	isAcronym,
+	isFilePath,
 	parseWordsCase,
 	transferCasingMatching,
 	transferCasingSimilar,
 	nullDistanceResults,
-	prefixSuffixPrep
+	prefixSuffixPrep,
+	readLines,
+	writeLines
 }
@@ -1,7 +1,34 @@
-const fs = require('fs')
-const readline = require('readline')
+const doubleMetaphone = require('double-metaphone')
 const EditDistance = require('./edit-distance')
 const Helpers = require('./helpers')
+const Smoothing = require('./smoothing')
+const KeyboardLayouts = require('./keyboard-layouts')
+const WeightedEditDistance = require('./weighted-edit-distance')
+const LRUCache = require('./lru-cache')
+
+// identifies files written by SymSpell.save, the version is increased whenever the layout changes
+const INDEX_FORMAT = 'symspell-index'
+const INDEX_FORMAT_VERSION = 3
+
+// rough sizes of V8 heap objects on 64-bit platforms, used by SymSpell.stats
+// an entry of a Map (key, value and chain pointers, plus its share of the hash table and unused capacity)
+const HEAP_MAP_ENTRY_BYTES = 40
+const HEAP_POINTER_BYTES = 8
+// a JSArray with the header of its backing store, without the elements
+const HEAP_ARRAY_BYTES = 48
+// header of a string (map, hash and length)
+const HEAP_STRING_BYTES = 16
+// a number which doesn't fit a small integer is stored as a separate HeapNumber
+const HEAP_NUMBER_BYTES = 16
+
+// factor applied to the score of a shorter n-gram each time the n-gram model backs off to it ("stupid backoff")
+const NGRAM_BACKOFF = 0.4
+// probability of every edit of a misspelling, which makes suggestions less likely the more edits they need (see the
+// probability of the suggestions and the left and right options of lookup)
+const EDIT_PROBABILITY = 0.01
+
+// properties set on some suggestions, in the order SuggestItem.toJSON serializes them
+const SUGGEST_ITEM_OPTIONAL_KEYS = ['confidence', 'score', 'weightedDistance', 'phonetic', 'layer', 'edits']
 
 // Spelling suggestion returned from Lookup.
 class SuggestItem {
@@ -26,6 +53,42 @@ class SuggestItem {
 
 		return other.distance - this.distance
 	}
+
+	// Serialize with the same keys in the same order whatever set them: term, distance, count and probability (null if
+	// unknown), followed by the optional properties which are set.
+	toJSON () {
+		const json = {
+			term: this.term,
+			distance: this.distance,
+			count: this.count,
+			probability: (this.probability === undefined) ? null : this.probability
+		}
+
+		for (const key of SUGGEST_ITEM_OPTIONAL_KEYS) {
+			if (this[key] !== undefined) {
+				json[key] = this[key]
+			}
+		}
+
+		return json
+	}
+}
+
+// Error thrown by the dictionary loaders in strict mode or when a compressed source can't be decompressed, and when an
+// index file can't be restored.
+class DictionaryLoadError extends Error {
+	// reason: Why the file or line was rejected.
+	// line: The 1-based number of the rejected line (or entry), or null if the whole file was rejected.
+	// source: The path+filename of the file, or null if the dictionary wasn't loaded from a file.
+	constructor (reason, line = null, source = null) {
+		const location = (source === null ? '' : source) + (line === null ? '' : (source === null ? 'line ' : ':') + line)
+
+		super(location.length === 0 ? reason : `${location}: ${reason}`)
+		this.name = 'DictionaryLoadError'
+		this.reason = reason
+		this.line = line
+		this.source = source
+	}
 }
 
 class SymSpell {
@@ -36,6 +99,16 @@ class SymSpell {
 		return 1024908267229
 	}
 
+	// strategies to estimate the probability of unknown words, see smoothing.js and the smoothing option of the constructor
+	static get Smoothing () {
+		return Smoothing
+	}
+
+	// rows of keys of keyboard layouts for WeightedEditDistance
+	static get KeyboardLayouts () {
+		return KeyboardLayouts
+	}
+
 	static get Verbosity () {
 		// verbosity=Top: the suggestion with the highest term frequency of the suggestions of smallest edit distance found
 		// verbosity=Closest: all suggestions of smallest edit distance found, the suggestions are ordered by term frequency
@@ -47,22 +120,180 @@ class SymSpell {
 		}
 	}
 
+	// compact: Store the deletes like the original C# version to use less memory: the delete strings are replaced by
+	// their hash and the suggestions by the positions of the words in wordList (a single number for a single suggestion).
+	// Lookup results are the same, suggestions of colliding hashes are filtered out by lookup.
+	// corpusSize: The number of words of the corpus the counts come from (N), or 'auto' to use the sum of the counts of
+	// all words (including below threshold words) loaded so far. It defaults to the size of the corpus of the English dictionaries.
+	// smoothing: The strategy estimating the probability of unknown words, one of SymSpell.Smoothing or a function (term, symSpell) => probability.
+	// distanceAlgorithm: The edit distance used to verify and rank suggestions, one of EditDistance.Algorithm or an object
+	// with a compare(string1, string2, maxDistance) method returning the distance or -1 if it's greater than maxDistance.
+	// Candidates are still the words found through their deletes, so a custom distance can't find words which need more
+	// than maxEditDistance deletes (on the input or on the word) to become equal.
+	// phonetic: Index the words by how they sound, which lookup falls back to when no word is within maxEditDistance:
+	// true for the Double Metaphone codes of English, or a function (term) => code(s) of another phonetic algorithm.
+	// cacheSize: The number of results of lookup, lookupCompound and wordSegmentation kept to answer the same calls again,
+	// 0 to disable the cache. Cached results are dropped whenever the dictionary changes.
+	// caseAware: Match words case-insensitively but return them in their canonical casing, the one they were added with
+	// most often ("iPhone", "London"), see canonicalForm. Words are stored in lowercase with the counts of their casings.
 	constructor (
 		maxDictionaryEditDistance = 2,
 		prefixLength = 7,
-		countThreshold = 1
+		countThreshold = 1,
+		{
+			compact = false,
+			corpusSize = SymSpell.N,
+			smoothing = Smoothing.length(),
+			distanceAlgorithm = EditDistance.Algorithm.DAMERAU_OSA,
+			phonetic = false,
+			cacheSize = 0,
+			caseAware = false
+		} = {}
 	) {
+		if (typeof distanceAlgorithm === 'object' && (distanceAlgorithm === null || typeof distanceAlgorithm.compare !== 'function')) {
+			throw new Error('Invalid distanceAlgorithm, expected one of EditDistance.Algorithm or an object with a compare method')
+		}
+
 		this.maxDictionaryEditDistance = maxDictionaryEditDistance
 		this.prefixLength = prefixLength
 		this.countThreshold = countThreshold
+		this.compact = compact
+		// increased by dictionaryChanged on every change of the dictionary, to tell when values derived from it are outdated
+		this.dictionaryVersion = 0
+		this.corpusSize = corpusSize
+		this.smoothing = smoothing
+		this.distanceAlgorithm = distanceAlgorithm
+		this.distanceComparer = (typeof distanceAlgorithm === 'object') ? distanceAlgorithm : new EditDistance(distanceAlgorithm)
+		this.phonetic = phonetic
+		this.phoneticEncoder = (phonetic === true) ? doubleMetaphoneCodes : (phonetic || null)
+		this.countSum = { version: -1, sum: 0 }
+		this.cacheSize = cacheSize
+		this.cache = (cacheSize > 0) ? new LRUCache(cacheSize) : null
+		// the dictionary versions the cached results were computed with
+		this.cacheVersion = null
+		// the words in sorted order used by complete, sorted again once the dictionary changed
+		this.sortedWordList = { version: null, words: [] }
+		this.caseAware = caseAware
+		// counts of the casings of the words added with capitals in case-aware mode, by lowercase word
+		this.casings = new Map()
 
 		this.words = new Map()
 		this.maxDictionaryWordLength = 0
 		this.deletes = new Map()
 		this.belowThresholdWords = new Map()
+		// correctly spelled words by their position (their id) in compact mode (removed words leave null), the ids by
+		// word, and the positions left by removed words, which are reused by the next added words
+		this.wordList = []
+		this.wordIds = new Map()
+		this.freeIds = []
+		// correctly spelled words made of several words ("new york") by their form without spaces, and their largest number of words
+		this.phrases = new Map()
+		this.maxPhraseWords = 1
+		// correctly spelled words by phonetic code, if phonetic is enabled
+		this.phoneticIndex = new Map()
 
 		this.bigrams = new Map()
 		this.bigramCountMin = Number.MAX_SAFE_INTEGER
+		// n-grams of more than 2 words ("term1 term2 term3") with their counts, and the largest number of words of an n-gram
+		this.ngrams = new Map()
+		this.ngramOrder = 0
+	}
+
+	// The corpusSize and smoothing options of the constructor, which can be changed afterwards. They change the probabilities
+	// like a change of the dictionary does, so results computed before (e.g. cached ones) are outdated.
+	get corpusSize () {
+		return this.corpusSizeOption
+	}
+
+	set corpusSize (corpusSize) {
+		if (corpusSize !== 'auto' && !(corpusSize > 0)) {
+			throw new Error(`Invalid corpusSize ${corpusSize}, expected a positive number or 'auto'`)
+		}
+
+		this.corpusSizeOption = corpusSize
+		this.dictionaryChanged()
+	}
+
+	get smoothing () {
+		return this.smoothingOption
+	}
+
+	set smoothing (smoothing) {
+		this.smoothingOption = smoothing
+		this.dictionaryChanged()
+	}
+
+	// Number of all words in the corpus used to calculate the word occurrence probability p from word counts c : p=c/N,
+	// see the corpusSize option of the constructor.
+	get N () {
+		if (this.corpusSize !== 'auto') {
+			return this.corpusSize
+		}
+
+		if (this.countSum.version !== this.dictionaryVersion) {
+			let sum = 0
+
+			for (const counts of [this.words.values(), this.belowThresholdWords.values()]) {
+				for (const count of counts) {
+					sum += count
+				}
+			}
+
+			this.countSum = { version: this.dictionaryVersion, sum }
+		}
+
+		// an empty dictionary still needs a valid denominator
+		return Math.max(this.countSum.sum, 1)
+	}
+
+	// Estimated occurrence probability of a word which isn't in the dictionary, see the smoothing option of the constructor.
+	unknownProbability (term) {
+		return this.smoothing(term, this)
+	}
+
+	// Called by every method changing the words, bigrams or n-grams of the dictionary.
+	dictionaryChanged () {
+		this.dictionaryVersion++
+	}
+
+	// returns -> The versions of every dictionary the results of lookup depend on, see cachedResult.
+	dictionaryVersions () {
+		return String(this.dictionaryVersion)
+	}
+
+	// returns -> A copy of the result cached for key, or undefined if there is none or the dictionary changed since it was cached.
+	cachedResult (key) {
+		const version = this.dictionaryVersions()
+
+		if (this.cacheVersion !== version) {
+			this.cache.clear()
+			this.cacheVersion = version
+		}
+
+		const result = this.cache.get(key)
+
+		return (result === undefined) ? undefined : copyResult(result)
+	}
+
+	// Cache a copy of the result for key, so that changes of the caller to the returned result don't change the cached one.
+	cacheResult (key, result) {
+		if (result !== undefined) {
+			this.cache.set(key, copyResult(result))
+		}
+	}
+
+	// returns -> The hits and misses of the result cache, and its size and capacity, or null if there is no cache.
+	cacheStats () {
+		if (this.cache === null) {
+			return null
+		}
+
+		return {
+			hits: this.cache.hits,
+			misses: this.cache.misses,
+			size: this.cache.size,
+			capacity: this.cache.capacity
+		}
 	}
 
 	// Create/Update an entry in the dictionary.
@@ -79,6 +310,14 @@ class SymSpell {
 			count = 0
 		}
 
+		if (this.caseAware) {
+			const word = key.toLowerCase()
+			this.addCasing(key, count, this.words.get(word) || this.belowThresholdWords.get(word) || 0)
+			key = word
+		}
+
+		this.dictionaryChanged()
+
 		let countPrevious = -1
 
 		// look first in below threshold words, update count, and allow promotion to correct spelling word if count reaches threshold
@@ -125,241 +364,1235 @@ class SymSpell {
 			this.maxDictionaryWordLength = key.length
 		}
 
-		// create deletes
-		const edits = this.editsPrefix(key)
+		this.addDeletes(key)
+		this.addPhrase(key)
+		this.addPhoneticCodes(key)
 
-		// put suggestions directly into main data structure
-		edits.forEach((val, del) => {
-			if (!this.deletes.has(del)) {
-				this.deletes.set(del, [])
+		return true
+	}
+
+	// Count a casing of a word in case-aware mode, see canonicalForm. Only the words added with capitals have their
+	// casings counted, the canonical form of the others is lowercase anyway.
+	// key: The word as it was added.
+	// count: The frequency count added for this casing.
+	// countPrevious: The count of the word so far, all of it lowercase if no other casing was counted yet.
+	addCasing (key, count, countPrevious) {
+		const word = key.toLowerCase()
+		let forms = this.casings.get(word)
+
+		if (forms === undefined) {
+			if (key === word) {
+				return
 			}
 
-			this.deletes.get(del).push(key)
-		})
+			forms = new Map((countPrevious > 0) ? [[word, countPrevious]] : [])
+			this.casings.set(word, forms)
+		}
 
-		return true
+		forms.set(key, (forms.get(key) || 0) + count)
 	}
 
-	// Load multiple dictionary entries from a file of word/frequency count pairs
-	// Merges with any dictionary data already loaded.
-	// corpus: The path+filename of the file.
-	// termIndex: The column position of the word.
-	// countIndex: The column position of the frequency count.
-	// separator: Separator characters between term(s) and count.
-	// returns ->True if file loaded, or false if file not found.
-	async loadBigramDictionary (dictFile, termIndex, countIndex, separator = ' ') {
-		const lines = readline.createInterface({
-			input: fs.createReadStream(dictFile, 'utf8'),
-			output: process.stdout,
-			terminal: false
-		})
+	// returns -> The dictionary key of a word: the word in lowercase in case-aware mode, otherwise the word itself.
+	wordKey (key) {
+		return this.caseAware ? key.toLowerCase() : key
+	}
 
-		for await (const line of lines) {
-			const linePartsLength = (separator === ' ') ? 3 : 2
-			const lineParts = line.trim().split(separator)
+	// The casing a word is returned with in case-aware mode: its most frequent casing (the first one counted among
+	// equally frequent ones), e.g. "iPhone" for "iphone", or the word itself if it was only added in lowercase.
+	// key: The lowercase word.
+	// returns -> The canonical form of the word.
+	canonicalForm (key) {
+		const forms = this.surfaceForms(key)
+
+		if (forms === undefined) {
+			return key
+		}
 
-			if (lineParts.length >= linePartsLength) {
-				// if default (whitespace) is defined as separator take 2 term parts, otherwise take only one
-				const key = (separator === ' ') ? lineParts[termIndex] + ' ' + lineParts[termIndex + 1] : lineParts[termIndex]
-				// Int64 count;
-				const count = parseInt(lineParts[countIndex], 10)
-				this.bigrams.set(key, count)
+		let form = key
+		let formCount = -1
 
-				if (count < this.bigramCountMin) {
-					this.bigramCountMin = count
-				}
+		for (const [surface, count] of forms) {
+			if (count > formCount) {
+				form = surface
+				formCount = count
 			}
 		}
 
-		return true
+		return form
 	}
 
-	// Load multiple dictionary entries from a file of word/frequency count pairs
-	// Merges with any dictionary data already loaded.
-	// corpus: The path+filename of the file.
-	// termIndex: The column position of the word.
-	// countIndex: The column position of the frequency count.
-	// separator: Separator characters between term(s) and count.
-	// returns ->True if file loaded, or false if file not found.
-	async loadDictionary (dictFile, termIndex, countIndex, separator = ' ') {
-		const lines = readline.createInterface({
-			input: fs.createReadStream(dictFile, 'utf8'),
-			output: process.stdout,
-			terminal: false
-		})
+	// Replace the words of a line with their canonical form where it isn't lowercase, see canonicalForm.
+	// keys: The lowercase words or phrases the line is made of, words without a canonical form keep their casing in line.
+	// line: The keys separated by spaces, in any casing.
+	// returns -> The line with the canonical forms of its words.
+	canonicalLine (keys, line) {
+		const words = line.split(' ')
+		let position = 0
+
+		return keys.map((key) => {
+			const length = key.split(' ').length
+			const cased = words.slice(position, position + length).join(' ')
+			const canonical = this.canonicalForm(key)
+			position += length
+
+			if (canonical !== key) {
+				return canonical
+			}
 
-		for await (const line of lines) {
-			const lineParts = line.trim().split(separator)
+			// the words of a split aren't a phrase, but can have their own canonical forms
+			return (length > 1) ? this.canonicalLine(key.split(' '), cased) : cased
+		}).join(' ')
+	}
 
-			if (lineParts.length >= 2) {
-				const key = lineParts[termIndex]
-				const count = parseInt(lineParts[countIndex], 10)
-				this.createDictionaryEntry(key, count)
-			}
+	// Add a word to the suggestions of all its deletes.
+	addDeletes (key) {
+		// create deletes
+		const edits = this.editsPrefix(key)
+
+		if (this.compact) {
+			const id = (this.freeIds.length > 0) ? this.freeIds.pop() : this.wordList.length
+			this.wordList[id] = key
+			this.wordIds.set(key, id)
+
+			edits.forEach((val, del) => {
+				const hash = hashDelete(del)
+				const ids = this.deletes.get(hash)
+
+				if (ids === undefined) {
+					this.deletes.set(hash, id)
+				}
+				else if (typeof ids === 'number') {
+					this.deletes.set(hash, [ids, id])
+				}
+				else {
+					ids.push(id)
+				}
+			})
+
+			return
 		}
 
-		return true
-	}
+		// put suggestions directly into main data structure
+		edits.forEach((val, del) => {
+			if (!this.deletes.has(del)) {
+				this.deletes.set(del, [])
+			}
 
-	// Load multiple dictionary words from a file containing plain text.
-	// Merges with any dictionary data already loaded.
-	// corpus: The path+filename of the file.
-	// returns ->True if file loaded, or false if file not found.
-	async createDictionary (dictFile) {
-		const lines = readline.createInterface({
-			input: fs.createReadStream(dictFile, 'utf8'),
-			output: process.stdout,
-			terminal: false
+			this.deletes.get(del).push(key)
 		})
+	}
 
-		for await (const line of lines) {
-			this.parseWords(line).forEach((key) => {
-				this.createDictionaryEntry(key, 1)
-			})
+	// Register a word made of several words as a phrase, which lookupCompound and wordSegmentation match as one unit.
+	addPhrase (key) {
+		if (!key.includes(' ')) {
+			return
 		}
 
-		return true
+		this.phrases.set(key.replace(/ /g, ''), key)
+		this.maxPhraseWords = Math.max(this.maxPhraseWords, key.split(' ').length)
 	}
 
-	// Find suggested spellings for a given input word.
-	// input: The word being spell checked.
-	// verbosity: The value controlling the quantity/closeness of the retuned suggestions.
-	// maxEditDistance: The maximum edit distance between input and suggested words.
-	// includeUnknown: Include input word in suggestions, if no words within edit distance found.
-	// returns ->A List of SuggestItem object representing suggested correct spellings for the input word,
-	// sorted by edit distance, and secondarily by count frequency.
-	lookup (input, verbosity, maxEditDistance = null, { includeUnknown, ignoreToken, transferCasing } = {}) {
-		// maxEditDistance used in Lookup can't be bigger than the maxDictionaryEditDistance
-		// used to construct the underlying dictionary structure.
-		if (maxEditDistance === null) {
-			maxEditDistance = this.maxDictionaryEditDistance
+	removePhrase (key) {
+		if (!key.includes(' ') || !this.phrases.delete(key.replace(/ /g, ''))) {
+			return
 		}
 
-		let suggestions = []
-		const inputLen = input.length
-		let originalPhrase = ''
+		// the longest phrase might have been removed
+		this.maxPhraseWords = 1
 
-		if (transferCasing) {
-			originalPhrase = input
-			input = input.toLowerCase()
+		for (const phrase of this.phrases.values()) {
+			this.maxPhraseWords = Math.max(this.maxPhraseWords, phrase.split(' ').length)
+		}
+	}
+
+	// returns -> The distinct phonetic codes of a word, none if phonetic is disabled.
+	phoneticCodes (key) {
+		if (this.phoneticEncoder === null) {
+			return []
 		}
 
-		const earlyExit = () => {
-			if (includeUnknown && suggestions.length === 0) {
-				suggestions.push(new SuggestItem(input, maxEditDistance + 1, 0))
+		return Array.from(new Set([].concat(this.phoneticEncoder(key)))).filter((code) => code !== '')
+	}
+
+	// Add a word to the phonetic index, under each of its codes.
+	addPhoneticCodes (key) {
+		for (const code of this.phoneticCodes(key)) {
+			if (!this.phoneticIndex.has(code)) {
+				this.phoneticIndex.set(code, [])
 			}
 
-			return suggestions
+			this.phoneticIndex.get(code).push(key)
 		}
+	}
 
-		// early exit - word is too big to possibly match any words
-		if (inputLen - maxEditDistance > this.maxDictionaryWordLength) {
-			return earlyExit()
-		}
+	removePhoneticCodes (key) {
+		for (const code of this.phoneticCodes(key)) {
+			const keys = this.phoneticIndex.get(code)
 
-		// quick look for exact match
-		let suggestionCount = 0
+			if (keys === undefined) {
+				continue
+			}
 
-		if (this.words.has(input)) {
-			suggestionCount = this.words.get(input)
-			suggestions.push(new SuggestItem(input, 0, suggestionCount))
+			const remaining = keys.filter((suggestion) => suggestion !== key)
 
-			// early exit - return exact match, unless caller wants all matches
-			if (verbosity !== SymSpell.Verbosity.ALL) {
-				return earlyExit()
+			if (remaining.length === 0) {
+				this.phoneticIndex.delete(code)
+			}
+			else {
+				this.phoneticIndex.set(code, remaining)
 			}
 		}
+	}
 
-		if (ignoreToken && input.match(ignoreToken)) {
-			suggestionCount = 1
-			suggestions.push(new SuggestItem(input, 0, suggestionCount))
+	// Remove an entry from the dictionary, including its deletes (and its casings in case-aware mode).
+	// key: The word to remove from the dictionary.
+	// returns -> True if the word was removed, or false if it wasn't in the dictionary (or below threshold words).
+	deleteDictionaryEntry (key) {
+		key = this.wordKey(key)
+		this.dictionaryChanged()
+		this.casings.delete(key)
 
-			// early exit - return exact match, unless caller wants all matches
-			if (verbosity !== SymSpell.Verbosity.ALL) {
-				return earlyExit()
+		if (this.belowThresholdWords.delete(key)) {
+			return true
+		}
+
+		if (!this.words.has(key)) {
+			return false
+		}
+
+		this.words.delete(key)
+		this.removeDeletes(key)
+		this.removePhrase(key)
+		this.removePhoneticCodes(key)
+
+		// the longest word might have been removed
+		if (key.length === this.maxDictionaryWordLength) {
+			this.maxDictionaryWordLength = 0
+
+			for (const word of this.words.keys()) {
+				if (word.length > this.maxDictionaryWordLength) {
+					this.maxDictionaryWordLength = word.length
+				}
 			}
 		}
 
-		// early termination, if we only want to check if word in dictionary or get its frequency e.g. for word segmentation
-		if (maxEditDistance === 0) {
-			return earlyExit()
+		return true
+	}
+
+	// Set the frequency count of an entry in the dictionary, as opposed to createDictionaryEntry which adds to it.
+	// Lowering the count below countThreshold moves the word back to the below threshold words (and removes its deletes),
+	// a count of zero or less removes the word entirely.
+	// In case-aware mode, the casing of key becomes the only (and canonical) casing of the word.
+	// key: The word to update.
+	// count: The new frequency count for word.
+	// returns -> True if the word is a correctly spelled word after the update, otherwise false.
+	updateDictionaryEntry (key, count) {
+		if (this.caseAware && key !== key.toLowerCase()) {
+			const word = key.toLowerCase()
+			const updated = this.updateDictionaryEntry(word, count)
+
+			if (this.words.has(word) || this.belowThresholdWords.has(word)) {
+				this.casings.set(word, new Map([[key, count]]))
+			}
+
+			return updated
 		}
 
-		const consideredDeletes = new Set()
-		const consideredSuggestions = new Set()
+		this.dictionaryChanged()
+		this.casings.delete(key)
 
-		// we considered the input already in the words.has(input) above
-		consideredSuggestions.add(input)
+		if (count <= 0 && this.countThreshold > 0) {
+			this.deleteDictionaryEntry(key)
 
-		let maxEditDistance2 = maxEditDistance
-		let candidatePointer = 0
-		const candidates = []
+			return false
+		}
 
-		// add original prefix
-		let inputPrefixLen = inputLen
+		count = Math.max(count, 0)
 
-		if (inputPrefixLen > this.prefixLength) {
-			inputPrefixLen = this.prefixLength
-			candidates.push(input.substr(0, inputPrefixLen))
+		if (this.words.has(key)) {
+			if (count >= this.countThreshold) {
+				this.words.set(key, count)
+
+				return true
+			}
+
+			this.deleteDictionaryEntry(key)
 		}
 		else {
-			candidates.push(input)
+			this.belowThresholdWords.delete(key)
 		}
 
-		const distanceComparer = new EditDistance()
+		if (count < this.countThreshold) {
+			this.belowThresholdWords.set(key, count)
 
-		while (candidatePointer < candidates.length) {
-			const candidate = candidates[candidatePointer]
-			candidatePointer += 1
-			const candidateLen = candidate.length
-			const lengthDiff = inputPrefixLen - candidateLen
+			return false
+		}
 
-			// save some time - early termination
-			// if canddate distance is already higher than suggestion distance, than there are no better suggestions to be expected
-			if (lengthDiff > maxEditDistance2) {
-				// skip to next candidate if Verbosity.ALL, look no further if Verbosity.TOP or Closest
-				// (candidates are ordered by delete distance, so none are closer than current)
-				if (verbosity === SymSpell.Verbosity.ALL) {
-					continue
-				}
+		return this.createDictionaryEntry(key, count)
+	}
 
-				break
+	// Change the parameters of the dictionary and rebuild the deletes from the current words and below threshold words,
+	// so that a loaded instance doesn't need to be created again. Words are promoted or demoted according to the new countThreshold.
+	// Parameters which aren't given keep their current value.
+	reconfigure ({
+		maxDictionaryEditDistance = this.maxDictionaryEditDistance,
+		prefixLength = this.prefixLength,
+		countThreshold = this.countThreshold
+	} = {}) {
+		const entries = [...this.words, ...this.belowThresholdWords]
+		this.dictionaryChanged()
+
+		this.maxDictionaryEditDistance = maxDictionaryEditDistance
+		this.prefixLength = prefixLength
+		this.countThreshold = countThreshold
+
+		this.words = new Map()
+		this.maxDictionaryWordLength = 0
+		this.deletes = new Map()
+		this.belowThresholdWords = new Map()
+		this.wordList = []
+		this.wordIds = new Map()
+		this.freeIds = []
+		this.phrases = new Map()
+		this.maxPhraseWords = 1
+		this.phoneticIndex = new Map()
+
+		for (const [key, count] of entries) {
+			if (count < this.countThreshold) {
+				this.belowThresholdWords.set(key, count)
+				continue
 			}
 
-			// read candidate entry from dictionary
-			if (this.deletes.has(candidate)) {
-				const dictSuggestions = this.deletes.get(candidate)
+			this.words.set(key, count)
+			this.maxDictionaryWordLength = Math.max(this.maxDictionaryWordLength, key.length)
+			this.addDeletes(key)
+			this.addPhrase(key)
+			this.addPhoneticCodes(key)
+		}
+	}
 
-				for (let i = 0; i < dictSuggestions.length; i++) {
-					const suggestion = dictSuggestions[i]
+	// Remove a word from the suggestions of all deletes created for it by createDictionaryEntry.
+	removeDeletes (key) {
+		if (this.compact) {
+			const id = this.wordIds.get(key)
+			this.wordList[id] = null
+			this.wordIds.delete(key)
+			this.freeIds.push(id)
 
-					if (suggestion === input) {
-						continue
-					}
+			this.editsPrefix(key).forEach((val, del) => {
+				const hash = hashDelete(del)
+				const ids = this.deletes.get(hash)
 
-					const suggestionLen = suggestion.length
+				if (ids === id) {
+					this.deletes.delete(hash)
+				}
+				else if (Array.isArray(ids) && ids.includes(id)) {
+					ids.splice(ids.indexOf(id), 1)
 
-					if (
-						Math.abs(suggestionLen - inputLen) > maxEditDistance2 || // input and sugg lengths diff > allowed/current best distance
-						suggestionLen < candidateLen || // sugg must be for a different delete string, in same bin only because of hash collision
-						(suggestionLen === candidateLen && suggestion !== candidate) // if sugg len = delete len, then it either equals delete or is in same bin only because of hash collision
-					) {
-						continue
+					if (ids.length === 1) {
+						this.deletes.set(hash, ids[0])
 					}
+				}
+			})
 
-					const suggPrefixLen = Math.min(suggestionLen, this.prefixLength)
+			return
+		}
 
-					if (suggPrefixLen > inputPrefixLen && (suggPrefixLen - candidateLen) > maxEditDistance2) {
-						continue
-					}
+		this.editsPrefix(key).forEach((val, del) => {
+			const suggestions = this.deletes.get(del)
 
-					// True Damerau-Levenshtein Edit Distance: adjust distance, if both distances>0
-					// We allow simultaneous edits (deletes) of maxEditDistance on on both the dictionary and the input term.
-					// For replaces and adjacent transposes the resulting edit distance stays <= maxEditDistance.
-					// For inserts and deletes the resulting edit distance might exceed maxEditDistance.
-					// To prevent suggestions of a higher edit distance, we need to calculate the resulting edit distance, if there are simultaneous edits on both sides.
-					// Example: (bank==bnak and bank==bink, but bank!=kanb and bank!=xban and bank!=baxn for maxEditDistance=1)
-					// Two deletes on each side of a pair makes them all equal, but the first two pairs have edit distance=1, the others edit distance=2.
+			if (suggestions === undefined) {
+				return
+			}
+
+			const index = suggestions.indexOf(key)
+
+			if (index >= 0) {
+				suggestions.splice(index, 1)
+			}
+
+			if (suggestions.length === 0) {
+				this.deletes.delete(del)
+			}
+		})
+	}
+
+	// Create/Update a bigram entry, the counterpart of createDictionaryEntry for the bigrams used by lookupCompound.
+	// term1: The first word of the bigram.
+	// term2: The second word of the bigram.
+	// count: The frequency count to add to the bigram.
+	// returns -> True if the bigram was added as a new entry, or false if the count of an existing bigram was updated.
+	createBigramEntry (term1, term2, count) {
+		if (count <= 0) {
+			return false
+		}
+
+		const key = this.wordKey(term1 + ' ' + term2)
+		this.dictionaryChanged()
+
+		if (this.bigrams.has(key)) {
+			const countPrevious = this.bigrams.get(key)
+			count = (Number.MAX_SAFE_INTEGER - countPrevious > count) ? countPrevious + count : Number.MAX_SAFE_INTEGER
+			this.bigrams.set(key, count)
+			// an increased count can only have been the minimum before
+			this.updateBigramCountMin(countPrevious)
+
+			return false
+		}
+
+		this.bigrams.set(key, count)
+
+		if (count < this.bigramCountMin) {
+			this.bigramCountMin = count
+		}
+
+		return true
+	}
+
+	// Set the frequency count of a bigram entry, as opposed to createBigramEntry which adds to it.
+	// A count of zero or less removes the bigram.
+	// term1: The first word of the bigram.
+	// term2: The second word of the bigram.
+	// count: The new frequency count for the bigram.
+	// returns -> True if the bigram exists after the update, otherwise false.
+	updateBigramEntry (term1, term2, count) {
+		if (count <= 0) {
+			this.deleteBigramEntry(term1, term2)
+
+			return false
+		}
+
+		const key = this.wordKey(term1 + ' ' + term2)
+		const countPrevious = this.bigrams.has(key) ? this.bigrams.get(key) : null
+		this.bigrams.set(key, count)
+		this.dictionaryChanged()
+
+		if (count < this.bigramCountMin) {
+			this.bigramCountMin = count
+		}
+		else if (countPrevious !== null) {
+			this.updateBigramCountMin(countPrevious)
+		}
+
+		return true
+	}
+
+	// Remove a bigram entry.
+	// term1: The first word of the bigram.
+	// term2: The second word of the bigram.
+	// returns -> True if the bigram was removed, or false if it didn't exist.
+	deleteBigramEntry (term1, term2) {
+		const key = this.wordKey(term1 + ' ' + term2)
+
+		if (!this.bigrams.has(key)) {
+			return false
+		}
+
+		const countPrevious = this.bigrams.get(key)
+		this.bigrams.delete(key)
+		this.dictionaryChanged()
+		this.updateBigramCountMin(countPrevious)
+
+		return true
+	}
+
+	// Recalculate bigramCountMin after the count of a bigram was increased or removed, which is only needed if
+	// the previous count of that bigram was the minimum.
+	updateBigramCountMin (countPrevious) {
+		if (countPrevious !== this.bigramCountMin) {
+			return
+		}
+
+		this.bigramCountMin = Number.MAX_SAFE_INTEGER
+
+		for (const count of this.bigrams.values()) {
+			if (count < this.bigramCountMin) {
+				this.bigramCountMin = count
+
+				// the minimum can't be lower than before
+				if (count === countPrevious) {
+					break
+				}
+			}
+		}
+	}
+
+	// Load multiple bigram entries from a file of bigram/frequency count pairs
+	// Merges with any dictionary data already loaded.
+	// dictFile: The path+filename of the file (decompressed if it ends with .gz), the content itself as a Buffer or as a string
+	// with line breaks, a Readable stream, or an iterable of [bigram, count] pairs.
+	// termIndex: The column position of the word.
+	// countIndex: The column position of the frequency count.
+	// separator: Separator characters between term(s) and count.
+	// strict: Throw a DictionaryLoadError on the first malformed line or if the file is not found.
+	// returns ->A load report (see loadEntries) if file loaded, or false if file not found.
+	async loadBigramDictionary (dictFile, termIndex, countIndex, separator = ' ', { strict = false } = {}) {
+		// if default (whitespace) is defined as separator take 2 term parts, otherwise take only one
+		const linePartsLength = (separator === ' ') ? 3 : 2
+
+		return loadEntries(dictFile, strict, (line) => {
+			const lineParts = line.trim().split(separator)
+
+			if (lineParts.length < linePartsLength) {
+				return 'expected a bigram and a count'
+			}
+
+			const key = (separator === ' ') ? lineParts[termIndex] + ' ' + lineParts[termIndex + 1] : lineParts[termIndex]
+
+			return [[this.wordKey(key), lineParts[countIndex]]]
+		}, (key, count) => {
+			const existed = this.bigrams.has(key)
+			this.bigrams.set(key, count)
+			this.dictionaryChanged()
+
+			if (count < this.bigramCountMin) {
+				this.bigramCountMin = count
+			}
+
+			return existed
+		})
+	}
+
+	// Load multiple dictionary entries from a file of n-gram/frequency count pairs, e.g. trigrams. Once n-grams are loaded,
+	// lookupCompound ranks splits, merges and the corrected line with them (see ngramScore).
+	// Merges with any dictionary data already loaded.
+	// dictFile: The path+filename of the file (decompressed if it ends with .gz), the content itself as a Buffer or as a string
+	// with line breaks, a Readable stream, or an iterable of [ngram, count] pairs.
+	// termIndex: The column position of the first word.
+	// countIndex: The column position of the frequency count.
+	// separator: Separator characters between term(s) and count.
+	// order: The number of words of the n-grams, bigrams (2) are loaded with loadBigramDictionary.
+	// strict: Throw a DictionaryLoadError on the first malformed line or if the file is not found.
+	// returns ->A load report (see loadEntries) if file loaded, or false if file not found.
+	async loadNgramDictionary (dictFile, termIndex, countIndex, separator = ' ', { order = 3, strict = false } = {}) {
+		if (order === 2) {
+			return this.loadBigramDictionary(dictFile, termIndex, countIndex, separator, { strict })
+		}
+
+		if (!Number.isInteger(order) || order < 2) {
+			throw new Error(`Invalid n-gram order ${order}, expected an integer of at least 2`)
+		}
+
+		// if default (whitespace) is defined as separator take order term parts, otherwise take only one
+		const linePartsLength = (separator === ' ') ? order + 1 : 2
+
+		return loadEntries(dictFile, strict, (line) => {
+			const lineParts = line.trim().split(separator)
+
+			if (lineParts.length < linePartsLength) {
+				return `expected a ${order}-gram and a count`
+			}
+
+			const key = (separator === ' ') ? lineParts.slice(termIndex, termIndex + order).join(' ') : lineParts[termIndex]
+
+			return [[this.wordKey(key), lineParts[countIndex]]]
+		}, (key, count) => {
+			const existed = this.ngrams.has(key)
+			this.ngrams.set(key, count)
+			// lookupCompound only scores with n-grams once some were loaded, not for a missing or empty file
+			this.ngramOrder = Math.max(this.ngramOrder, order)
+			this.dictionaryChanged()
+
+			return existed
+		})
+	}
+
+	// Load multiple dictionary entries from a file of word/frequency count pairs
+	// Merges with any dictionary data already loaded.
+	// dictFile: The path+filename of the file (decompressed if it ends with .gz), the content itself as a Buffer or as a string
+	// with line breaks, a Readable stream, or an iterable of [term, count] pairs.
+	// termIndex: The column position of the word.
+	// countIndex: The column position of the frequency count.
+	// separator: Separator characters between term(s) and count.
+	// strict: Throw a DictionaryLoadError on the first malformed line or if the file is not found.
+	// phrases: Load terms made of a varying number of columns, as phrases of several words ("new york 1234"): the term spans
+	// from termIndex to the count, which is the last column if countIndex is after termIndex (otherwise to the last column).
+	// Terms containing spaces are always phrases, so this is only needed when the separator is a space.
+	// returns ->A load report (see loadEntries) if file loaded, or false if file not found.
+	async loadDictionary (dictFile, termIndex, countIndex, separator = ' ', { strict = false, phrases = false } = {}) {
+		return loadEntries(dictFile, strict, (line) => {
+			const lineParts = line.trim().split(separator)
+
+			if (lineParts.length < 2) {
+				return 'expected a term and a count'
+			}
+
+			if (phrases) {
+				if (countIndex > termIndex) {
+					return [[lineParts.slice(termIndex, -1).join(' '), lineParts[lineParts.length - 1]]]
+				}
+
+				return [[lineParts.slice(termIndex).join(' '), lineParts[countIndex]]]
+			}
+
+			return [[lineParts[termIndex], lineParts[countIndex]]]
+		}, (key, count) => this.mergeDictionaryEntry(key, count))
+	}
+
+	// Load multiple dictionary words from a file containing plain text.
+	// Merges with any dictionary data already loaded.
+	// dictFile: The path+filename of the file (decompressed if it ends with .gz), the text itself as a Buffer or as a string
+	// with line breaks, a Readable stream, or an iterable of lines of text or [term, count] pairs.
+	// strict: Throw a DictionaryLoadError on the first malformed [term, count] pair or if the file is not found.
+	// bigrams: Also count the pairs of adjacent words of every line as bigrams.
+	// In case-aware mode, the words keep the casing they have in the text, counted for their canonical form.
+	// returns ->A load report (see loadEntries) if file loaded, or false if file not found.
+	async createDictionary (dictFile, { strict = false, bigrams = false } = {}) {
+		return loadEntries(dictFile, strict, (line) => {
+			const keys = this.parseWords(line, this.caseAware)
+
+			if (bigrams) {
+				for (let i = 1; i < keys.length; i++) {
+					this.createBigramEntry(keys[i - 1], keys[i], 1)
+				}
+			}
+
+			return keys.map((key) => [key, 1])
+		}, (key, count) => this.mergeDictionaryEntry(key, count))
+	}
+
+	// Add to an entry with createDictionaryEntry, used by the loaders to tell new and merged entries apart.
+	// returns -> True if the word already existed (correctly spelled or below threshold), otherwise false.
+	mergeDictionaryEntry (key, count) {
+		const word = this.wordKey(key)
+		const existed = this.words.has(word) || this.belowThresholdWords.has(word)
+		this.createDictionaryEntry(key, count)
+
+		return existed
+	}
+
+	// Write the dictionary to a file of word/frequency count pairs, one per line, as read by loadDictionary(dictFile, 0, 1, separator).
+	// dictFile: The path+filename of the file, which is compressed if it ends with .gz.
+	// separator: Separator characters between term and count.
+	// includeBelowThreshold: Also write the words with a count below countThreshold.
+	// sortBy: 'count' (descending), 'term' (ascending), or null to keep the order in which words were added.
+	async saveDictionary (dictFile, { separator = ' ', includeBelowThreshold = false, sortBy = null } = {}) {
+		let entries = Array.from(this.words)
+
+		if (includeBelowThreshold) {
+			entries = entries.concat(Array.from(this.belowThresholdWords))
+		}
+
+		await Helpers.writeLines(dictFile, sortEntries(entries, sortBy).map(([key, count]) => key + separator + count))
+	}
+
+	// Write the bigrams to a file of bigram/frequency count pairs, one per line, as read by loadBigramDictionary(dictFile, 0, 2)
+	// (or loadBigramDictionary(dictFile, 0, 1, separator) with another separator than the default).
+	// dictFile: The path+filename of the file, which is compressed if it ends with .gz.
+	// separator: Separator characters between bigram and count.
+	// sortBy: 'count' (descending), 'term' (ascending), or null to keep the order in which bigrams were added.
+	async saveBigramDictionary (dictFile, { separator = ' ', sortBy = null } = {}) {
+		await Helpers.writeLines(dictFile, sortEntries(Array.from(this.bigrams), sortBy).map(([key, count]) => key + separator + count))
+	}
+
+	// Save the precomputed dictionary to a file, so that it can be restored with SymSpell.load
+	// without recreating the deletes of every word.
+	// The file starts with a JSON header (format version, constructor parameters and section sizes),
+	// followed by one JSON encoded entry per line for words, below threshold words, bigrams, n-grams, casings and deletes.
+	// Suggestions of deletes are stored as positions in the words section.
+	// indexFile: The path+filename of the file, which is compressed if it ends with .gz.
+	async save (indexFile) {
+		await Helpers.writeLines(indexFile, indexLines(this))
+	}
+
+	// Create a new instance from a file written by save. The smoothing strategy, custom distance comparers and custom phonetic algorithms are not saved.
+	// indexFile: The path+filename of the file (decompressed if it ends with .gz), or any other source accepted by loadDictionary.
+	// returns -> The restored SymSpell instance.
+	static async load (indexFile) {
+		let symSpell = null
+		let sections = []
+		const terms = []
+
+		for await (const line of readSourceLines(indexFile)) {
+			const entry = JSON.parse(line)
+
+			if (symSpell === null) {
+				if (entry.format !== INDEX_FORMAT || entry.version !== INDEX_FORMAT_VERSION) {
+					throw new DictionaryLoadError(`unsupported index format, expected ${INDEX_FORMAT} version ${INDEX_FORMAT_VERSION}`, 1, indexFile)
+				}
+
+				symSpell = new SymSpell(entry.maxDictionaryEditDistance, entry.prefixLength, entry.countThreshold, {
+					compact: entry.compact === true,
+					corpusSize: entry.corpusSize,
+					distanceAlgorithm: entry.distanceAlgorithm,
+					phonetic: entry.phonetic === true,
+					cacheSize: entry.cacheSize,
+					caseAware: entry.caseAware === true
+				})
+
+				symSpell.maxDictionaryWordLength = entry.maxDictionaryWordLength
+				symSpell.bigramCountMin = entry.bigramCountMin
+				symSpell.ngramOrder = entry.ngramOrder
+
+				// sections in the order they are written, with the number of entries left to read
+				sections = [
+					{
+						remaining: entry.words,
+						add: ([key, count]) => {
+							terms.push(key)
+							symSpell.words.set(key, count)
+
+							if (symSpell.compact) {
+								symSpell.wordIds.set(key, terms.length - 1)
+							}
+
+							symSpell.addPhrase(key)
+							symSpell.addPhoneticCodes(key)
+						}
+					},
+					{ remaining: entry.belowThresholdWords, add: ([key, count]) => symSpell.belowThresholdWords.set(key, count) },
+					{ remaining: entry.bigrams, add: ([key, count]) => symSpell.bigrams.set(key, count) },
+					{ remaining: entry.ngrams, add: ([key, count]) => symSpell.ngrams.set(key, count) },
+					{ remaining: entry.casings, add: ([key, forms]) => symSpell.casings.set(key, new Map(forms)) },
+					{ remaining: entry.deletes, add: ([del, suggestions]) => symSpell.deletes.set(del, suggestions.map((index) => terms[index])) }
+				]
+
+				if (symSpell.compact) {
+					// word ids are the positions in the words section
+					symSpell.wordList = terms
+					sections[sections.length - 1].add = ([hash, ids]) => symSpell.deletes.set(hash, (ids.length === 1) ? ids[0] : ids)
+				}
+
+				continue
+			}
+
+			while (sections.length > 0 && sections[0].remaining === 0) {
+				sections.shift()
+			}
+
+			if (sections.length === 0) {
+				break
+			}
+
+			sections[0].add(entry)
+			sections[0].remaining--
+		}
+
+		if (symSpell === null || sections.some((section) => section.remaining > 0)) {
+			throw new DictionaryLoadError('unexpected end of index file', null, indexFile)
+		}
+
+		return symSpell
+	}
+
+	// Statistics about the size of the dictionary, e.g. to choose prefixLength and maxDictionaryEditDistance or to size containers.
+	// Memory is an estimate of the heap bytes used by every structure (for a 64-bit V8), strings shared between
+	// structures (e.g. words in the suggestions lists of deletes) are counted once. In compact mode, deletes counts
+	// the hashes (which can be shared by colliding deletes) and includes wordList and the ids of the words.
+	// For a LayeredSymSpell, only the entries of the layer itself are counted.
+	stats () {
+		let suggestions = 0
+		let maxSuggestions = 0
+		let deletesBytes = this.deletes.size * HEAP_MAP_ENTRY_BYTES
+
+		for (const [del, dictSuggestions] of this.deletes) {
+			if (this.compact) {
+				// hashes and single suggestions are small integers stored in the Map entry itself
+				const length = (typeof dictSuggestions === 'number') ? 1 : dictSuggestions.length
+				suggestions += length
+				maxSuggestions = Math.max(maxSuggestions, length)
+				deletesBytes += (length === 1) ? 0 : HEAP_ARRAY_BYTES + length * HEAP_POINTER_BYTES
+				continue
+			}
+
+			suggestions += dictSuggestions.length
+			maxSuggestions = Math.max(maxSuggestions, dictSuggestions.length)
+			deletesBytes += heapStringBytes(del) + heapArrayBytes(dictSuggestions.length)
+		}
+
+		if (this.compact) {
+			deletesBytes += HEAP_ARRAY_BYTES + this.wordList.length * HEAP_POINTER_BYTES + this.wordIds.size * HEAP_MAP_ENTRY_BYTES
+		}
+
+		let phoneticBytes = this.phoneticIndex.size * HEAP_MAP_ENTRY_BYTES
+
+		for (const [code, keys] of this.phoneticIndex) {
+			phoneticBytes += heapStringBytes(code) + heapArrayBytes(keys.length)
+		}
+
+		const memory = {
+			words: heapMapBytes(this.words),
+			belowThresholdWords: heapMapBytes(this.belowThresholdWords),
+			deletes: deletesBytes,
+			bigrams: heapMapBytes(this.bigrams),
+			ngrams: heapMapBytes(this.ngrams),
+			phonetic: phoneticBytes
+		}
+
+		memory.total = memory.words + memory.belowThresholdWords + memory.deletes + memory.bigrams + memory.ngrams + memory.phonetic
+
+		return {
+			words: this.words.size,
+			belowThresholdWords: this.belowThresholdWords.size,
+			deletes: this.deletes.size,
+			averageSuggestionsPerDelete: this.deletes.size === 0 ? 0 : suggestions / this.deletes.size,
+			maxSuggestionsPerDelete: maxSuggestions,
+			bigrams: this.bigrams.size,
+			bigramCountMin: this.bigramCountMin,
+			ngrams: this.ngrams.size,
+			ngramOrder: this.ngramOrder,
+			maxDictionaryWordLength: this.maxDictionaryWordLength,
+			memory
+		}
+	}
+
+	// Create a layer over this dictionary, see LayeredSymSpell.
+	// name: The name of the layer, reported by the suggestions coming from it.
+	createLayer (name) {
+		return new LayeredSymSpell(this, name)
+	}
+
+	// Dictionary access for lookup, lookupCompound, wordSegmentation and complete, so that a LayeredSymSpell can combine the
+	// data of its layers.
+
+	// returns -> The frequency count of a correctly spelled word, or undefined if the word is not in the dictionary.
+	wordCount (key) {
+		return this.words.get(key)
+	}
+
+	// returns -> The suggestions list of a delete, or undefined if there is none.
+	deleteSuggestions (del) {
+		if (this.compact) {
+			const ids = this.deletes.get(hashDelete(del))
+
+			if (ids === undefined) {
+				return undefined
+			}
+
+			return (typeof ids === 'number') ? [this.wordList[ids]] : ids.map((id) => this.wordList[id])
+		}
+
+		return this.deletes.get(del)
+	}
+
+	// returns -> The frequency count of a bigram ("term1 term2"), or undefined if the bigram is not in the dictionary.
+	bigramCount (key) {
+		return this.bigrams.get(key)
+	}
+
+	minBigramCount () {
+		return this.bigramCountMin
+	}
+
+	// returns -> The frequency count of an n-gram of more than 2 words, or undefined if it is not in the dictionary.
+	ngramCount (key) {
+		return this.ngrams.get(key)
+	}
+
+	// returns -> The largest number of words of the loaded n-grams, or 0 if there are none.
+	maxNgramOrder () {
+		return this.ngramOrder
+	}
+
+	maxWordLength () {
+		return this.maxDictionaryWordLength
+	}
+
+	// returns -> The phrase (e.g. "new york") written as key without spaces ("newyork"), or undefined if there is none.
+	phraseOf (key) {
+		return this.phrases.get(key)
+	}
+
+	// returns -> The largest number of words of a phrase, 1 if there are no phrases.
+	maxWordsPerPhrase () {
+		return this.maxPhraseWords
+	}
+
+	// returns -> The words with a phonetic code, or undefined if there are none.
+	phoneticSuggestions (code) {
+		return this.phoneticIndex.get(code)
+	}
+
+	// returns -> All the correctly spelled words.
+	wordKeys () {
+		return Array.from(this.words.keys())
+	}
+
+	// returns -> The counts of the casings of a word by casing, or undefined if it was only added in lowercase (see addCasing).
+	surfaceForms (key) {
+		return this.casings.get(key)
+	}
+
+	// Score a sequence of words with the n-gram model, using the longest n-gram ending with each word which has a count
+	// and backing off to shorter ones (down to the word itself) with the "stupid backoff" scheme of Brants et al. (2007).
+	// Words which aren't in the dictionary get the estimated occurrence probability used by lookupCompound.
+	// terms: The words of the sequence, in lower case.
+	// returns -> The base 10 logarithm of the score, higher is more likely.
+	ngramScore (terms) {
+		const order = Math.max(this.maxNgramOrder(), 2)
+		let score = 0
+
+		for (let i = 0; i < terms.length; i++) {
+			score += Math.log10(ngramBackoff(this, terms.slice(Math.max(0, i + 1 - order), i + 1)))
+		}
+
+		return score
+	}
+
+	// The words around the input of lookup (see the left and right options) which the n-gram scores of its suggestions depend
+	// on: the last and first order - 1 words.
+	// left: The words before the input, or null.
+	// right: The words after the input, or null.
+	// returns -> The lists of words { left, right }.
+	contextTerms (left, right) {
+		const order = Math.max(this.maxNgramOrder(), 2)
+
+		return {
+			left: (left === null) ? [] : this.parseWords(left).slice(1 - order),
+			right: (right === null) ? [] : this.parseWords(right).slice(0, order - 1)
+		}
+	}
+
+	// Noisy channel score of a suggestion of lookup between the words around the input: the n-gram score of the suggestion in
+	// its context (see ngramScore), plus the logarithm of EDIT_PROBABILITY for every edit (or the weightedDistance) turning
+	// the suggestion into the input.
+	// context: The words around the input, see contextTerms.
+	// returns -> The base 10 logarithm of the score, higher is more likely.
+	contextScore (suggestion, context) {
+		const terms = context.left.concat(suggestion.term.toLowerCase().split(' '), context.right)
+
+		return this.ngramScore(terms) + suggestionEdits(suggestion) * Math.log10(EDIT_PROBABILITY)
+	}
+
+	// Probability of a suggestion of lookup: the occurrence probability of its word (count / N, or the estimate of unknown
+	// words for the input added by includeUnknown) times EDIT_PROBABILITY for every edit turning it into the input.
+	// Between context words, the occurrence probability is the one of the word between them according to the n-gram model.
+	// context: The words around the input (see contextTerms), or null.
+	// returns -> The probability, which can be compared between suggestions of different lookups.
+	suggestionProbability (suggestion, context = null) {
+		const term = suggestion.term.toLowerCase()
+		let probability
+
+		if (context !== null && (context.left.length > 0 || context.right.length > 0)) {
+			const terms = context.left.concat(term.split(' '), context.right)
+			probability = Math.pow(10, this.ngramScore(terms) - this.ngramScore(context.left.concat(context.right)))
+		}
+		else if (suggestion.count > 0) {
+			probability = suggestion.count / this.N
+		}
+		else {
+			probability = this.unknownProbability(term)
+		}
+
+		return Math.min(probability, 1) * Math.pow(EDIT_PROBABILITY, suggestionEdits(suggestion))
+	}
+
+	// Find suggested spellings for a given input word.
+	// input: The word being spell checked.
+	// verbosity: The value controlling the quantity/closeness of the retuned suggestions.
+	// maxEditDistance: The maximum edit distance between input and suggested words.
+	// includeUnknown: Include input word in suggestions, if no words within edit distance found.
+	// weightedDistance: A WeightedEditDistance to rank the suggestions by weighted cost instead of edit distance (see lookupWeighted).
+	// phonetic: Fall back to the words sounding like the input if no word is within maxEditDistance, when the instance has a
+	// phonetic index (see lookupPhonetic).
+	// explain: Set an explanation of the search on the returned list: the candidates generated from the input prefix, the deletes
+	// found in the dictionary with their words, the words rejected with the reason ('hashCollision', 'deleteInSuggestionPrefix',
+	// 'distance' or 'verbosity') and the distance and count of the results.
+	// limit: Return at most limit suggestions. With Verbosity.ALL, the search skips the words which can't be among the
+	// best limit suggestions instead of finding all of them.
+	// score: A function (suggestion, input) => number ranking the suggestions instead of distance and count, highest first
+	// (see lookupScored).
+	// left: The words before the input, e.g. "i went" for "too" in "i went too the store". The suggestions, including the
+	// input itself if it is a word, are ranked by how likely they are in their context according to the bigrams and n-grams
+	// of the dictionary, set as their score (see contextScore), so that real word errors get corrected.
+	// right: The words after the input, e.g. "the store".
+	// confidence: Set the confidence of every suggestion, its share of the probability of all the suggestions within
+	// maxEditDistance (see lookupConfidence).
+	// canonicalCasing: In case-aware mode, return the words in their canonical form (see canonicalForm), which takes
+	// precedence over transferCasing. Otherwise they are returned in lowercase, like their keys.
+	// edits: Set the edits turning the input into every suggestion as its edits, see EditDistance.align.
+	// returns ->A List of SuggestItem object representing suggested correct spellings for the input word,
+	// sorted by edit distance, and secondarily by count frequency. Every suggestion has its probability (see
+	// suggestionProbability).
+	lookup (input, verbosity, maxEditDistance = null, {
+		includeUnknown,
+		ignoreToken,
+		transferCasing,
+		weightedDistance = null,
+		phonetic = true,
+		explain = false,
+		limit = null,
+		score = null,
+		left = null,
+		right = null,
+		confidence = false,
+		canonicalCasing = true,
+		edits = false
+	} = {}) {
+		// maxEditDistance used in Lookup can't be bigger than the maxDictionaryEditDistance
+		// used to construct the underlying dictionary structure.
+		if (maxEditDistance === null) {
+			maxEditDistance = this.maxDictionaryEditDistance
+		}
+
+		if (limit !== null && !(Number.isInteger(limit) && limit >= 1)) {
+			throw new Error(`Invalid limit ${limit}, expected a whole number of at least 1 suggestion`)
+		}
+
+		if (edits) {
+			const suggestions = this.lookup(input, verbosity, maxEditDistance, { includeUnknown, ignoreToken, transferCasing, weightedDistance, phonetic, explain, limit, score, left, right, confidence, canonicalCasing })
+
+			return this.addEdits(input, suggestions)
+		}
+
+		if (confidence) {
+			return this.lookupConfidence(input, verbosity, maxEditDistance, { includeUnknown, ignoreToken, transferCasing, weightedDistance, phonetic, explain, limit, score, left, right, canonicalCasing })
+		}
+
+		if (left !== null || right !== null) {
+			if (score !== null) {
+				throw new Error('The score option of lookup can\'t be combined with left or right')
+			}
+
+			const context = this.contextTerms(left, right)
+			const contextScore = (suggestion) => this.contextScore(suggestion, context)
+			const suggestions = this.lookupScored(input, verbosity, maxEditDistance, contextScore, { includeUnknown, ignoreToken, transferCasing, weightedDistance, phonetic, explain, canonicalCasing })
+
+			suggestions.forEach((suggestion) => {
+				suggestion.probability = this.suggestionProbability(suggestion, context)
+			})
+
+			return limitRanked(suggestions, limit, 'score')
+		}
+
+		// explanations describe a search, and weighted distances and scores rank the cached lookup of lookupWeighted/lookupScored
+		const cacheKey = (this.cache === null || explain || weightedDistance !== null || score !== null)
+			? null
+			: resultKey('lookup', input, verbosity, maxEditDistance, includeUnknown, ignoreToken, transferCasing, phonetic, limit, canonicalCasing)
+
+		if (cacheKey !== null) {
+			const cached = this.cachedResult(cacheKey)
+
+			if (cached !== undefined) {
+				return cached
+			}
+		}
+
+		if (score !== null) {
+			const scored = this.lookupScored(input, verbosity, maxEditDistance, score, { includeUnknown, ignoreToken, transferCasing, weightedDistance, phonetic, explain, canonicalCasing })
+
+			return limitRanked(scored, limit, 'score')
+		}
+
+		if (weightedDistance !== null) {
+			const weighted = this.lookupWeighted(input, verbosity, maxEditDistance, weightedDistance, { includeUnknown, ignoreToken, transferCasing, phonetic, explain, canonicalCasing })
+
+			return limitRanked(weighted, limit, 'weightedDistance')
+		}
+
+		let suggestions = []
+		const inputLen = input.length
+		let originalPhrase = ''
+
+		if (transferCasing) {
+			originalPhrase = input
+			input = input.toLowerCase()
+		}
+
+		// an unknown input added by includeUnknown keeps its casing in case-aware mode
+		const unknownInput = input
+		input = this.wordKey(input)
+
+		const candidates = []
+		const explanation = explain ? { candidates, deleteHits: [], rejected: [], results: [] } : null
+
+		// reason: Why the suggestion of the delete candidate was dropped, distance its edit distance if it was computed.
+		const reject = (suggestion, candidate, reason, distance = null) => {
+			if (explanation !== null) {
+				explanation.rejected.push({ term: suggestion, candidate, reason, distance })
+			}
+		}
+
+		// Suggestions beyond the distance of the best ones found so far are pruned by verbosity, only the ones beyond
+		// maxEditDistance fail the distance threshold.
+		const thresholdReason = (distance) => (distance > maxEditDistance) ? 'distance' : 'verbosity'
+
+		// With a limit, only suggestions as close as the limit-th closest one found so far can still be among the best ones.
+		const bounded = verbosity !== SymSpell.Verbosity.ALL || limit !== null
+
+		// distance: The distance of the suggestion just added.
+		const limitDistance = (distance) => {
+			if (limit === null || verbosity !== SymSpell.Verbosity.ALL || suggestions.length < limit) {
+				return
+			}
+
+			// the limit-th distance only changes when the limit is reached or a closer suggestion is added
+			if (suggestions.length === limit || distance < maxEditDistance2) {
+				maxEditDistance2 = suggestions.map((s) => s.distance).sort((a, b) => a - b)[limit - 1]
+
+				suggestions = suggestions.filter((s) => {
+					if (s.distance > maxEditDistance2) {
+						reject(s.term, null, 'verbosity', s.distance)
+
+						return false
+					}
+
+					return true
+				})
+			}
+		}
+
+		const earlyExit = () => {
+			if (phonetic && suggestions.length === 0 && this.phoneticEncoder !== null) {
+				suggestions = this.lookupPhonetic(input, verbosity)
+
+				if (transferCasing) {
+					suggestions.forEach((s) => {
+						s.term = Helpers.transferCasingSimilar(originalPhrase, s.term)
+					})
+				}
+			}
+
+			if (includeUnknown && suggestions.length === 0) {
+				suggestions.push(new SuggestItem(unknownInput, maxEditDistance + 1, 0))
+			}
+
+			if (this.caseAware && canonicalCasing) {
+				suggestions.forEach((s) => {
+					s.term = this.canonicalLine([s.term.toLowerCase()], s.term)
+				})
+			}
+
+			if (limit !== null && suggestions.length > limit) {
+				suggestions.slice(limit).forEach((s) => reject(s.term, null, 'verbosity', s.distance))
+				suggestions = suggestions.slice(0, limit)
+			}
+
+			suggestions.forEach((s) => {
+				s.probability = this.suggestionProbability(s)
+			})
+
+			if (explanation !== null) {
+				explanation.results = suggestions.map((s) => ({ term: s.term, distance: s.distance, count: s.count }))
+				suggestions.explanation = explanation
+			}
+
+			if (cacheKey !== null) {
+				this.cacheResult(cacheKey, suggestions)
+			}
+
+			return suggestions
+		}
+
+		// early exit - word is too big to possibly match any words
+		if (inputLen - maxEditDistance > this.maxWordLength()) {
+			return earlyExit()
+		}
+
+		// quick look for exact match
+		let suggestionCount = this.wordCount(input)
+
+		if (suggestionCount !== undefined) {
+			suggestions.push(new SuggestItem(input, 0, suggestionCount))
+
+			// early exit - return exact match, unless caller wants all matches
+			if (verbosity !== SymSpell.Verbosity.ALL) {
+				return earlyExit()
+			}
+		}
+
+		if (ignoreToken && input.match(ignoreToken)) {
+			suggestionCount = 1
+			suggestions.push(new SuggestItem(input, 0, suggestionCount))
+
+			// early exit - return exact match, unless caller wants all matches
+			if (verbosity !== SymSpell.Verbosity.ALL) {
+				return earlyExit()
+			}
+		}
+
+		// early termination, if we only want to check if word in dictionary or get its frequency e.g. for word segmentation
+		if (maxEditDistance === 0) {
+			return earlyExit()
+		}
+
+		const consideredDeletes = new Set()
+		const consideredSuggestions = new Set()
+
+		// we considered the input already in the words.has(input) above
+		consideredSuggestions.add(input)
+
+		let maxEditDistance2 = maxEditDistance
+		let candidatePointer = 0
+
+		// exact matches count towards the limit
+		limitDistance(0)
+
+		// add original prefix
+		let inputPrefixLen = inputLen
+
+		if (inputPrefixLen > this.prefixLength) {
+			inputPrefixLen = this.prefixLength
+			candidates.push(input.substr(0, inputPrefixLen))
+		}
+		else {
+			candidates.push(input)
+		}
+
+		const distanceComparer = this.distanceComparer
+
+		while (candidatePointer < candidates.length) {
+			const candidate = candidates[candidatePointer]
+			candidatePointer += 1
+			const candidateLen = candidate.length
+			const lengthDiff = inputPrefixLen - candidateLen
+
+			// save some time - early termination
+			// if canddate distance is already higher than suggestion distance, than there are no better suggestions to be expected
+			if (lengthDiff > maxEditDistance2) {
+				// skip to next candidate if Verbosity.ALL, look no further if Verbosity.TOP or Closest
+				// (candidates are ordered by delete distance, so none are closer than current)
+				if (verbosity === SymSpell.Verbosity.ALL) {
+					continue
+				}
+
+				break
+			}
+
+			// read candidate entry from dictionary
+			const dictSuggestions = this.deleteSuggestions(candidate)
+
+			if (dictSuggestions !== undefined) {
+				if (explanation !== null) {
+					explanation.deleteHits.push({ candidate, suggestions: Array.from(dictSuggestions) })
+				}
+
+				for (let i = 0; i < dictSuggestions.length; i++) {
+					const suggestion = dictSuggestions[i]
+
+					if (suggestion === input) {
+						continue
+					}
+
+					const suggestionLen = suggestion.length
+
+					if (
+						suggestionLen < candidateLen || // sugg must be for a different delete string, in same bin only because of hash collision
+						(suggestionLen === candidateLen && suggestion !== candidate) // if sugg len = delete len, then it either equals delete or is in same bin only because of hash collision
+					) {
+						reject(suggestion, candidate, 'hashCollision')
+						continue
+					}
+
+					if (Math.abs(suggestionLen - inputLen) > maxEditDistance2) { // input and sugg lengths diff > allowed/current best distance
+						reject(suggestion, candidate, thresholdReason(Math.abs(suggestionLen - inputLen)))
+						continue
+					}
+
+					const suggPrefixLen = Math.min(suggestionLen, this.prefixLength)
+
+					if (suggPrefixLen > inputPrefixLen && (suggPrefixLen - candidateLen) > maxEditDistance2) {
+						reject(suggestion, candidate, thresholdReason(suggPrefixLen - candidateLen))
+						continue
+					}
+
+					// True Damerau-Levenshtein Edit Distance: adjust distance, if both distances>0
+					// We allow simultaneous edits (deletes) of maxEditDistance on on both the dictionary and the input term.
+					// For replaces and adjacent transposes the resulting edit distance stays <= maxEditDistance.
+					// For inserts and deletes the resulting edit distance might exceed maxEditDistance.
+					// To prevent suggestions of a higher edit distance, we need to calculate the resulting edit distance, if there are simultaneous edits on both sides.
+					// Example: (bank==bnak and bank==bink, but bank!=kanb and bank!=xban and bank!=baxn for maxEditDistance=1)
+					// Two deletes on each side of a pair makes them all equal, but the first two pairs have edit distance=1, the others edit distance=2.
 					let distance = 0
 					let min = 0
 
@@ -367,14 +1600,24 @@ class SymSpell {
 						// suggestions which have no common chars with input (inputLen<=maxEditDistance && suggestionLen<=maxEditDistance)
 						distance = Math.max(inputLen, suggestionLen)
 
-						if (distance > maxEditDistance2 || consideredSuggestions.has(suggestion)) {
+						if (consideredSuggestions.has(suggestion)) {
+							continue
+						}
+
+						if (distance > maxEditDistance2) {
+							reject(suggestion, candidate, thresholdReason(distance), distance)
 							continue
 						}
 					}
 					else if (suggestionLen === 1) {
 						distance = (input.indexOf(suggestion[0]) < 0) ? inputLen : inputLen - 1
 
-						if (distance > maxEditDistance2 || consideredSuggestions.has(suggestion)) {
+						if (consideredSuggestions.has(suggestion)) {
+							continue
+						}
+
+						if (distance > maxEditDistance2) {
+							reject(suggestion, candidate, thresholdReason(distance), distance)
 							continue
 						}
 					}
@@ -399,16 +1642,20 @@ class SymSpell {
 								)
 							))
 						) {
+							reject(suggestion, candidate, 'distance')
 							continue
 						}
 						else {
+							if (consideredSuggestions.has(suggestion)) {
+								continue
+							}
+
 							// deleteInSuggestionPrefix is somewhat expensive, and only pays off when verbosity is Top or Closest.
 							if (
-								(
-									verbosity !== SymSpell.Verbosity.ALL &&
-									!this.deleteInSuggestionPrefix(candidate, candidateLen, suggestion, suggestionLen)
-								) || consideredSuggestions.has(suggestion)
+								verbosity !== SymSpell.Verbosity.ALL &&
+								!this.deleteInSuggestionPrefix(candidate, candidateLen, suggestion, suggestionLen)
 							) {
+								reject(suggestion, candidate, 'deleteInSuggestionPrefix')
 								continue
 							}
 
@@ -417,6 +1664,13 @@ class SymSpell {
 							distance = distanceComparer.compare(input, suggestion, maxEditDistance2)
 
 							if (distance < 0) {
+								if (explanation !== null) {
+									// tell the distance threshold from the pruning by a closer suggestion
+									const actualDistance = (maxEditDistance2 < maxEditDistance) ? distanceComparer.compare(input, suggestion, maxEditDistance) : -1
+
+									reject(suggestion, candidate, (actualDistance < 0) ? 'distance' : 'verbosity', (actualDistance < 0) ? null : actualDistance)
+								}
+
 								continue
 							}
 						}
@@ -425,7 +1679,7 @@ class SymSpell {
 					// save some time
 					// do not process higher distances than those already found, if verbosity<All (note: maxEditDistance2 will always equal maxEditDistance when Verbosity.ALL)
 					if (distance <= maxEditDistance2) {
-						const suggestionCount = this.words.get(suggestion)
+						const suggestionCount = this.wordCount(suggestion)
 						const si = new SuggestItem(suggestion, distance, suggestionCount)
 
 						if (suggestions.length > 0) {
@@ -433,6 +1687,7 @@ class SymSpell {
 							case SymSpell.Verbosity.CLOSEST: {
 								// we will calculate DamLev distance only to the smallest found distance so far
 								if (distance < maxEditDistance2) {
+									suggestions.forEach((s) => reject(s.term, candidate, 'verbosity', s.distance))
 									suggestions = []
 								}
 
@@ -442,8 +1697,12 @@ class SymSpell {
 							case SymSpell.Verbosity.TOP: {
 								if (distance < maxEditDistance2 || suggestionCount > suggestions[0].count) {
 									maxEditDistance2 = distance
+									reject(suggestions[0].term, candidate, 'verbosity', suggestions[0].distance)
 									suggestions[0] = si
 								}
+								else {
+									reject(suggestion, candidate, 'verbosity', distance)
+								}
 
 								continue
 							}
@@ -455,6 +1714,7 @@ class SymSpell {
 						}
 
 						suggestions.push(si)
+						limitDistance(distance)
 					}
 				} // end foreach
 			} // end if
@@ -465,7 +1725,7 @@ class SymSpell {
 			if (lengthDiff < maxEditDistance && candidateLen <= this.prefixLength) {
 				// save some time
 				// do not create edits with edit distance smaller than suggestions already found
-				if (verbosity !== SymSpell.Verbosity.ALL && lengthDiff >= maxEditDistance2) {
+				if (bounded && lengthDiff >= maxEditDistance2) {
 					continue
 				}
 
@@ -523,11 +1783,12 @@ class SymSpell {
 
 	// create a non-unique wordlist from sample text
 	// language independent (e.g. works with Chinese characters)
-	parseWords (text) {
+	// preserveCase: Keep the casing of the words instead of converting them to lowercase.
+	parseWords (text, preserveCase = false) {
 		// \w Alphanumeric characters (including non-latin characters, umlaut characters and digits) plus "_"
 		// \d Digits
 		// Compatible with non-latin characters, does not split words at apostrophes
-		const matches = text.toLowerCase().matchAll(/(([^\W_]|['’])+)/g)
+		const matches = (preserveCase ? text : text.toLowerCase()).matchAll(/(([^\W_]|['’])+)/g)
 
 		return Array.from(matches, (match) => match[0])
 	}
@@ -571,6 +1832,243 @@ class SymSpell {
 		return this.edits(key, 0, hashSet)
 	}
 
+	// Find the words sharing a phonetic code with the input, whatever their edit distance. Used by lookup when no word is
+	// within maxEditDistance.
+	// returns ->A List of SuggestItem object flagged with phonetic = true, sorted by edit distance and secondarily by count,
+	// reduced to the first or closest ones according to verbosity.
+	lookupPhonetic (input, verbosity) {
+		const terms = new Set()
+
+		for (const code of this.phoneticCodes(input)) {
+			const codeSuggestions = this.phoneticSuggestions(code)
+
+			if (codeSuggestions !== undefined) {
+				codeSuggestions.forEach((term) => terms.add(term))
+			}
+		}
+
+		const suggestions = []
+
+		for (const term of terms) {
+			const count = this.wordCount(term)
+
+			if (count !== undefined) {
+				const si = new SuggestItem(term, this.distanceComparer.compare(input, term, Number.MAX_SAFE_INTEGER), count)
+				si.phonetic = true
+				suggestions.push(si)
+			}
+		}
+
+		suggestions.sort((a, b) => a.compareTo(b)).reverse()
+
+		if (verbosity === SymSpell.Verbosity.TOP) {
+			return suggestions.slice(0, 1)
+		}
+
+		if (verbosity === SymSpell.Verbosity.CLOSEST && suggestions.length > 0) {
+			return suggestions.filter((suggestion) => suggestion.distance === suggestions[0].distance)
+		}
+
+		return suggestions
+	}
+
+	// Find the suggestions within maxEditDistance like lookup with Verbosity.ALL, then rank them by their weighted distance
+	// to the input (set as their weightedDistance) and secondarily by count, and keep the ones verbosity asks for.
+	// An unknown input added by includeUnknown keeps its distance as weightedDistance.
+	// weightedDistance: The WeightedEditDistance used to rank the suggestions.
+	// options: The other options of lookup.
+	// returns ->A List of SuggestItem object representing suggested correct spellings for the input word.
+	lookupWeighted (input, verbosity, maxEditDistance, weightedDistance, options) {
+		const suggestions = this.lookup(input, SymSpell.Verbosity.ALL, maxEditDistance, options)
+		// the suggestions were found with the lowercase input, and may have another casing than the input
+		const caseless = options.transferCasing || this.caseAware
+		const comparedInput = caseless ? input.toLowerCase() : input
+
+		suggestions.forEach((suggestion) => {
+			if (suggestion.distance > maxEditDistance) {
+				suggestion.weightedDistance = suggestion.distance
+			}
+			else {
+				const term = caseless ? suggestion.term.toLowerCase() : suggestion.term
+				suggestion.weightedDistance = weightedDistance.distance(comparedInput, term)
+			}
+
+			suggestion.probability = this.suggestionProbability(suggestion)
+		})
+
+		suggestions.sort((a, b) => (a.weightedDistance - b.weightedDistance) || (b.count - a.count))
+
+		return selectRanked(suggestions, verbosity, 'weightedDistance')
+	}
+
+	// Find the suggestions within maxEditDistance like lookup with Verbosity.ALL, then rank them by the score the score function
+	// gives them (set as their score), highest first and secondarily by distance and count, and keep the ones verbosity asks
+	// for: Verbosity.CLOSEST keeps the suggestions with the best score. The score can combine the distance, count and
+	// weightedDistance of the suggestion, the length of its term or anything else known to the caller, e.g. to prefer a very
+	// frequent word at distance 2 to a rare word at distance 1.
+	// score: The function (suggestion, input) => number.
+	// options: The other options of lookup.
+	// returns ->A List of SuggestItem object representing suggested correct spellings for the input word.
+	lookupScored (input, verbosity, maxEditDistance, score, options) {
+		const suggestions = this.lookup(input, SymSpell.Verbosity.ALL, maxEditDistance, options)
+
+		suggestions.forEach((suggestion) => {
+			suggestion.score = score(suggestion, input)
+		})
+
+		suggestions.sort((a, b) => (b.score - a.score) || b.compareTo(a))
+
+		return selectRanked(suggestions, verbosity, 'score')
+	}
+
+	// Find the suggestions like lookup, and set their confidence: their share of the probability of all the suggestions
+	// lookup finds within maxEditDistance with Verbosity.ALL (including the input itself if it is a word). Unlike the
+	// probability, the confidence tells how likely a suggestion is the intended word among the alternatives, e.g. to
+	// auto-correct only above a threshold.
+	// options: The other options of lookup.
+	// returns ->A List of SuggestItem object representing suggested correct spellings for the input word.
+	lookupConfidence (input, verbosity, maxEditDistance, options) {
+		const suggestions = this.lookup(input, verbosity, maxEditDistance, options)
+		const alternatives = this.lookup(input, SymSpell.Verbosity.ALL, maxEditDistance, Object.assign({}, options, { limit: null, explain: false }))
+		const total = alternatives.reduce((sum, suggestion) => sum + suggestion.probability, 0)
+
+		suggestions.forEach((suggestion) => {
+			suggestion.confidence = (total > 0) ? Math.min(suggestion.probability / total, 1) : 0
+		})
+
+		return suggestions
+	}
+
+	// Set the edits turning the input into every suggestion as its edits (see EditDistance.align), e.g. to highlight the
+	// characters a correction changed. They are the edits of the distance algorithm of the instance (the optimal string
+	// alignment ones for a custom comparer), between the input and the term as it is returned, so a different casing of
+	// the term is an edit too.
+	// returns -> The suggestions.
+	addEdits (input, suggestions) {
+		suggestions.forEach((suggestion) => {
+			suggestion.edits = EditDistance.align(input, suggestion.term, this.distanceAlgorithm)
+		})
+
+		return suggestions
+	}
+
+	// Complete a prefix, e.g. typed in a search box, to the most frequent words starting with it or with a correction of it,
+	// so that "recieve" still completes to "received". The words are kept sorted (again once the dictionary changed) and
+	// searched as a trie: the optimal string alignment distance between the prefix and the start of the words is computed
+	// once per distinct start, and the starts which can't be within maxEditDistance of the prefix are skipped with all
+	// their words. The delete index can't be used, it only has the deletes of the first prefixLength characters of the
+	// words and finds them when the whole word is within maxEditDistance.
+	// prefix: The start of a word.
+	// limit: The maximum number of completions.
+	// maxEditDistance: The maximum edit distance between prefix and the start of the completed words. It is at most the
+	// length of prefix - 1, as a prefix which can be deleted entirely would complete to every word.
+	// returns ->A List of SuggestItem object with the distance between prefix and the start of the word, sorted by
+	// distance, and secondarily by count frequency. In case-aware mode, the words have their canonical form.
+	complete (prefix, { limit = 10, maxEditDistance = null } = {}) {
+		if (maxEditDistance === null) {
+			maxEditDistance = this.maxDictionaryEditDistance
+		}
+
+		prefix = this.wordKey(prefix)
+
+		maxEditDistance = Math.max(Math.min(maxEditDistance, prefix.length - 1), 0)
+
+		const words = this.sortedWords()
+		const prefixLen = prefix.length
+		const completions = []
+
+		const addWords = (start, end, distance) => {
+			for (let i = start; i < end; i++) {
+				completions.push(new SuggestItem(words[i], distance, this.wordCount(words[i])))
+			}
+		}
+
+		// words[start..end) all start with the same depth characters, whose distances to the beginnings of prefix are row
+		// (prevRow for the first depth - 1 characters, lastChar the last one), rowMin the smallest one. best is the smallest
+		// distance between prefix and any start of these words.
+		const search = (start, end, depth, prevRow, row, rowMin, lastChar, best) => {
+			best = Math.min(best, row[prefixLen])
+
+			// longer starts are no closer to prefix than rowMin
+			if (rowMin > maxEditDistance || rowMin >= best) {
+				if (best <= maxEditDistance) {
+					addWords(start, end, best)
+				}
+
+				return
+			}
+
+			let i = start
+
+			// a word made of the depth characters sorts first
+			if (words[i].length === depth) {
+				if (best <= maxEditDistance) {
+					addWords(i, i + 1, best)
+				}
+
+				i++
+			}
+
+			while (i < end) {
+				const char = words[i][depth]
+				// end of the words with char as next character
+				let low = i + 1
+				let high = end
+
+				while (low < high) {
+					const middle = (low + high) >>> 1
+
+					if (words[middle][depth] <= char) {
+						low = middle + 1
+					}
+					else {
+						high = middle
+					}
+				}
+
+				const nextRow = [row[0] + 1]
+				let nextRowMin = nextRow[0]
+
+				for (let j = 1; j <= prefixLen; j++) {
+					let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + ((char === prefix[j - 1]) ? 0 : 1))
+
+					if (j > 1 && prevRow !== null && char === prefix[j - 2] && lastChar === prefix[j - 1]) {
+						distance = Math.min(distance, prevRow[j - 2] + 1)
+					}
+
+					nextRow.push(distance)
+					nextRowMin = Math.min(nextRowMin, distance)
+				}
+
+				search(i, low, depth + 1, row, nextRow, nextRowMin, char, best)
+				i = low
+			}
+		}
+
+		if (words.length > 0) {
+			search(0, words.length, 0, null, Array.from({ length: prefixLen + 1 }, (_, j) => j), 0, null, Number.MAX_SAFE_INTEGER)
+		}
+
+		completions.sort((a, b) => b.compareTo(a))
+
+		return completions.slice(0, limit).map((completion) => {
+			completion.term = this.canonicalForm(completion.term)
+
+			return completion
+		})
+	}
+
+	// returns -> All the correctly spelled words in sorted order, see complete.
+	sortedWords () {
+		const version = this.dictionaryVersions()
+
+		if (this.sortedWordList.version !== version) {
+			this.sortedWordList = { version, words: this.wordKeys().sort() }
+		}
+
+		return this.sortedWordList.words
+	}
+
 	// ######################
 
 	// LookupCompound supports compound aware automatic spelling correction of multi-word input strings with three cases:
@@ -579,14 +2077,38 @@ class SymSpell {
 	// 3. multiple independent input terms with/without spelling errors
 
 	// Find suggested spellings for a multi-word input string (supports word splitting/merging).
+	// When n-grams are loaded (see loadNgramDictionary), splits and merges of equal distance are ranked by the n-gram score
+	// of the words they produce following the previous words, and the count of the line is derived from its n-gram score.
 	// input: The string being spell checked.
 	// maxEditDistance: The maximum edit distance between input and suggested words.
-	// returns ->A List of SuggestItem object representing suggested correct spellings for the input string.
-	lookupCompound (input, maxEditDistance = null, { ignoreNonWords, transferCasing } = {}) {
+	// returns ->A List of SuggestItem object representing suggested correct spellings for the input string, with the probability
+	// of its words (count / N) times EDIT_PROBABILITY for every edit, like the suggestions of lookup. In case-aware mode, the
+	// words have their canonical form (see canonicalForm).
+	// edits: Set the edits turning the input into the corrected line as its edits, see addEdits.
+	lookupCompound (input, maxEditDistance = null, { ignoreNonWords, transferCasing, edits = false } = {}) {
 		if (maxEditDistance === null) {
 			maxEditDistance = this.maxDictionaryEditDistance
 		}
 
+		if (edits) {
+			return this.addEdits(input, this.lookupCompound(input, maxEditDistance, { ignoreNonWords, transferCasing }))
+		}
+
+		const cacheKey = (this.cache === null) ? null : resultKey('lookupCompound', input, maxEditDistance, ignoreNonWords, transferCasing)
+
+		if (cacheKey !== null) {
+			const cached = this.cachedResult(cacheKey)
+
+			if (cached !== undefined) {
+				return cached
+			}
+		}
+
+		const ngramOrder = this.maxNgramOrder()
+		const maxPhraseWords = this.maxWordsPerPhrase()
+		// the words of the corrected parts which are the context of the next words for the n-gram model
+		const ngramContext = (parts) => [].concat(...parts.map((si) => si.term.split(' '))).slice(1 - ngramOrder)
+
 		// parse input string into single terms
 		const termList1 = Helpers.parseWordsCase(input)
 		let termList2 = []
@@ -597,7 +2119,9 @@ class SymSpell {
 
 		let suggestions = [] // suggestions for a single term
 		const suggestionParts = [] // 1 line with separate parts
-		const distanceComparer = new EditDistance()
+		const distanceComparer = this.distanceComparer
+		// probabilities of the parts whose estimated count is rounded (unknown words and splits), by part
+		const partProbabilities = new Map()
 
 		// translate every term to its best suggestion, otherwise it remains unchanged
 		let lastCombi = false
@@ -615,11 +2139,34 @@ class SymSpell {
 				}
 			}
 
-			suggestions = this.lookup(termList1[i], SymSpell.Verbosity.TOP, maxEditDistance)
+			// phrase check, the longest phrase starting with the term first
+			// with ignoreNonWords, a phrase ends before the next number or acronym, which are left unchanged
+			let phraseEnd = Math.min(i + maxPhraseWords, termList1.length)
+
+			if (ignoreNonWords) {
+				for (let j = i + 1; j < phraseEnd; j++) {
+					if (parseInt(termList1[j], 10) || Helpers.isAcronym(termList2[j])) {
+						phraseEnd = j
+						break
+					}
+				}
+			}
+
+			const phraseWords = this.lookupPhrase(termList1, i, phraseEnd - i, maxEditDistance, suggestionParts)
+
+			if (phraseWords > 0) {
+				// the phrase is not merged with the next term
+				i += phraseWords - 1
+				lastCombi = true
+
+				continue
+			}
+
+			suggestions = this.lookup(termList1[i], SymSpell.Verbosity.TOP, maxEditDistance, { phonetic: false, canonicalCasing: false })
 
 			// combi check, always before split
 			if (i > 0 && !lastCombi) {
-				const suggestionsCombi = this.lookup(termList1[i - 1] + termList1[i], SymSpell.Verbosity.TOP, maxEditDistance)
+				const suggestionsCombi = this.lookup(termList1[i - 1] + termList1[i], SymSpell.Verbosity.TOP, maxEditDistance, { phonetic: false, canonicalCasing: false })
 
 				if (suggestionsCombi.length > 0) {
 					const best1 = suggestionParts[suggestionParts.length - 1]
@@ -633,20 +2180,29 @@ class SymSpell {
 						best2.term = termList1[i]
 						// estimated edit distance
 						best2.distance = maxEditDistance + 1
-						// estimated word occurrence probability P=10 / (N * 10^word length l)
-						best2.count = 10 / Math.pow(10, best2.term.length) // 0;
+						// estimated word occurrence probability, see the smoothing option
+						best2.count = this.unknownProbability(best2.term) * this.N
 					}
 
 					// distance1=edit distance between 2 split terms und their best corrections : als comparative value for the combination
 					const distance1 = best1.distance + best2.distance
 
+					let combiIsMoreLikely = suggestionsCombi[0].count > best1.count / this.N * best2.count
+
+					if (ngramOrder > 0) {
+						const context = ngramContext(suggestionParts.slice(0, -1))
+
+						combiIsMoreLikely = this.ngramScore(context.concat(suggestionsCombi[0].term)) >
+							this.ngramScore(context.concat(best1.term.split(' '), best2.term.split(' ')))
+					}
+
 					if (
 						distance1 >= 0 &&
 						(
 							suggestionsCombi[0].distance + 1 < distance1 ||
 							(
 								suggestionsCombi[0].distance + 1 === distance1 &&
-								suggestionsCombi[0].count > best1.count / SymSpell.N * best2.count
+								combiIsMoreLikely
 							)
 						)
 					) {
@@ -669,6 +2225,9 @@ class SymSpell {
 			else {
 				// if no perfect suggestion, split word into pairs
 				let suggestionSplitBest = null
+				// rank splits by count, or by their n-gram score following the previous words
+				const context = (ngramOrder > 0) ? ngramContext(suggestionParts) : null
+				const splitScore = (si) => (context === null) ? si.count : this.ngramScore(context.concat(si.term.split(' ')))
 
 				// add original term
 				if (suggestions.length > 0) {
@@ -680,10 +2239,10 @@ class SymSpell {
 						const part1 = termList1[i].substr(0, j)
 						const part2 = termList1[i].substr(j)
 						const suggestionSplit = new SuggestItem()
-						const suggestions1 = this.lookup(part1, SymSpell.Verbosity.TOP, maxEditDistance)
+						const suggestions1 = this.lookup(part1, SymSpell.Verbosity.TOP, maxEditDistance, { phonetic: false, canonicalCasing: false })
 
 						if (suggestions1.length > 0) {
-							const suggestions2 = this.lookup(part2, SymSpell.Verbosity.TOP, maxEditDistance)
+							const suggestions2 = this.lookup(part2, SymSpell.Verbosity.TOP, maxEditDistance, { phonetic: false, canonicalCasing: false })
 
 							if (suggestions2.length > 0) {
 								// select best suggestion for split pair
@@ -708,8 +2267,9 @@ class SymSpell {
 								suggestionSplit.distance = distance2
 
 								// if bigram exists in bigram dictionary
-								if (this.bigrams.has(suggestionSplit.term)) {
-									const bigramCount = this.bigrams.get(suggestionSplit.term)
+								const bigramCount = this.bigramCount(suggestionSplit.term)
+
+								if (bigramCount !== undefined) {
 									suggestionSplit.count = bigramCount
 
 									// increase count, if split.corrections are part of or identical to input
@@ -733,10 +2293,12 @@ class SymSpell {
 								else {
 									// The Naive Bayes probability of the word combination is the product of the two word probabilities: P(AB) = P(A) * P(B)
 									// use it to estimate the frequency count of the combination, which then is used to rank/select the best splitting variant
-									suggestionSplit.count = Math.floor(Math.min(this.bigramCountMin, suggestions1[0].count / SymSpell.N * suggestions2[0].count))
+									const splitCount = Math.min(this.minBigramCount(), suggestions1[0].count / this.N * suggestions2[0].count)
+									suggestionSplit.count = Math.floor(splitCount)
+									partProbabilities.set(suggestionSplit, splitCount / this.N)
 								}
 
-								if (suggestionSplitBest === null || suggestionSplit.count > suggestionSplitBest.count) {
+								if (suggestionSplitBest === null || splitScore(suggestionSplit) > splitScore(suggestionSplitBest)) {
 									suggestionSplitBest = suggestionSplit
 								}
 							}
@@ -750,48 +2312,125 @@ class SymSpell {
 					else {
 						const si = new SuggestItem()
 						si.term = termList1[i]
-						// estimated word occurrence probability P=10 / (N * 10^word length l)
-						si.count = Math.floor(10 / Math.pow(10, si.term.length))
+						// estimated word occurrence probability, see the smoothing option
+						si.count = Math.floor(this.unknownProbability(si.term) * this.N)
 						si.distance = maxEditDistance + 1
 						suggestionParts.push(si)
+						partProbabilities.set(si, this.unknownProbability(si.term))
 					}
 				}
 				else {
 					const si = new SuggestItem()
 					si.term = termList1[i]
-					// estimated word occurrence probability P=10 / (N * 10^word length l)
-					si.count = Math.floor(10 / Math.pow(10, si.term.length))
+					// estimated word occurrence probability, see the smoothing option
+					si.count = Math.floor(this.unknownProbability(si.term) * this.N)
 					si.distance = maxEditDistance + 1
 					suggestionParts.push(si)
+					partProbabilities.set(si, this.unknownProbability(si.term))
 				}
 			}
 		}
 
 		const suggestion = new SuggestItem()
 
-		let count = SymSpell.N
+		const N = this.N
+		let count = N
+		// like count / N, but from the probabilities of the parts before their counts were rounded, with the estimate of
+		// unknown words for the words ignoreNonWords left unchanged
+		let probability = 1
 		let s = ''
 
 		suggestionParts.forEach((si) => {
 			s += si.term + ' '
-			count *= si.count / SymSpell.N
+			count *= si.count / N
+
+			if (partProbabilities.has(si)) {
+				probability *= partProbabilities.get(si)
+			}
+			else {
+				probability *= (si.count > 0) ? si.count / N : this.unknownProbability(si.term)
+			}
 		})
 
-		suggestion.count = Math.floor(count)
 		suggestion.term = s.trimEnd()
 
+		if (ngramOrder > 0) {
+			count = N * Math.pow(10, this.ngramScore(suggestion.term.split(' ')))
+			probability = count / N
+		}
+
+		suggestion.count = Math.floor(count)
+
 		if (transferCasing) {
 			suggestion.term = Helpers.transferCasingSimilar(input, suggestion.term)
 		}
 
 		suggestion.distance = distanceComparer.compare(input, suggestion.term, Number.MAX_SAFE_INTEGER)
+		// like the probability of lookup
+		suggestion.probability = Math.min(probability, 1) * Math.pow(EDIT_PROBABILITY, suggestion.distance)
+
+		if (this.caseAware) {
+			suggestion.term = this.canonicalLine(suggestionParts.map((si) => si.term), suggestion.term)
+		}
 
 		const suggestionsLine = []
 		suggestionsLine.push(suggestion)
 
+		if (cacheKey !== null) {
+			this.cacheResult(cacheKey, suggestionsLine)
+		}
+
 		return suggestionsLine
 	}
 
+	// Correct the terms starting at position start of terms as a single phrase, if one of the phrases of the dictionary is closer
+	// to them than the correction of every term on its own, or as close and more frequent. Used by lookupCompound.
+	// terms: The terms of the input.
+	// start: The position of the first term of the phrase.
+	// maxPhraseWords: The largest number of words of a phrase of the dictionary.
+	// maxEditDistance: The maximum edit distance between the terms and the phrase.
+	// suggestionParts: The corrected parts of the line, the phrase is added to them if one is found.
+	// returns -> The number of terms corrected as a phrase, 0 if there is none.
+	lookupPhrase (terms, start, maxPhraseWords, maxEditDistance, suggestionParts) {
+		const N = this.N
+
+		for (let length = Math.min(maxPhraseWords, terms.length - start); length > 1; length--) {
+			const words = terms.slice(start, start + length)
+			const phraseSuggestions = this.lookup(words.join(' '), SymSpell.Verbosity.TOP, maxEditDistance, { phonetic: false, canonicalCasing: false })
+
+			// other corrections would merge or split the terms, which is left to the combi and split checks
+			if (phraseSuggestions.length === 0 || phraseSuggestions[0].term.split(' ').length !== length) {
+				continue
+			}
+
+			let distance = 0
+			let probability = 1
+
+			for (const word of words) {
+				const wordSuggestions = this.lookup(word, SymSpell.Verbosity.TOP, maxEditDistance, { phonetic: false, canonicalCasing: false })
+
+				if (wordSuggestions.length > 0) {
+					distance += wordSuggestions[0].distance
+					probability *= wordSuggestions[0].count / N
+				}
+				else {
+					distance += maxEditDistance + 1
+					probability *= this.unknownProbability(word)
+				}
+			}
+
+			const phrase = phraseSuggestions[0]
+
+			if (phrase.distance < distance || (phrase.distance === distance && phrase.count / N >= probability)) {
+				suggestionParts.push(phrase)
+
+				return length
+			}
+		}
+
+		return 0
+	}
+
 	// ######
 
 	// WordSegmentation divides a string into words by inserting missing spaces at the appropriate positions
@@ -812,13 +2451,24 @@ class SymSpell {
 	/// the word segmented and spelling corrected string as correctedString,
 	/// the Edit distance sum between input string and corrected string as distanceSum,
 	/// the Sum of word occurence probabilities in log scale (a measure of how common and probable the corrected segmentation is) as probabilityLogSum.
+	/// the product of the word occurence probabilities (10^probabilityLogSum) as probability.
 	wordSegmentation (input, { maxEditDistance = null, maxSegmentationWordLength = null, ignoreToken } = {}) {
 		if (maxEditDistance === null) {
 			maxEditDistance = this.maxDictionaryEditDistance
 		}
 
 		if (maxSegmentationWordLength === null) {
-			maxSegmentationWordLength = this.maxDictionaryWordLength
+			maxSegmentationWordLength = this.maxWordLength()
+		}
+
+		const cacheKey = (this.cache === null) ? null : resultKey('wordSegmentation', input, maxEditDistance, maxSegmentationWordLength, ignoreToken)
+
+		if (cacheKey !== null) {
+			const cached = this.cachedResult(cacheKey)
+
+			if (cached !== undefined) {
+				return cached
+			}
 		}
 
 		const arraySize = Math.min(maxSegmentationWordLength, input.length)
@@ -855,7 +2505,12 @@ class SymSpell {
 				// add number of removed spaces to ed
 				topEd -= part.length
 
-				const results = this.lookup(part, SymSpell.Verbosity.TOP, maxEditDistance, { ignoreToken })
+				// a phrase written without its spaces is taken as is
+				// lookup returns the canonical form of the words in case-aware mode
+				const phrase = this.phraseOf(this.wordKey(part))
+				const results = (phrase === undefined)
+					? this.lookup(part, SymSpell.Verbosity.TOP, maxEditDistance, { ignoreToken, phonetic: false })
+					: [new SuggestItem(this.canonicalForm(phrase), 0, this.wordCount(phrase))]
 
 				if (results.length > 0) {
 					topResult = results[0].term
@@ -867,21 +2522,21 @@ class SymSpell {
 					// instead of computing the product of probabilities we are computing the sum of the logarithm of probabilities
 					// because the probabilities of words are about 10^-10, the product of many such small numbers could exceed (underflow) the floating number range and become zero
 					// log(ab)=log(a)+log(b)
-					topProbabilityLog = Math.log10(results[0].count / SymSpell.N)
+					topProbabilityLog = Math.log10(results[0].count / this.N)
 				}
 				else {
 					topResult = part
 					// default, if word not found
 					// otherwise long input text would win as long unknown word (with ed=edmax+1 ), although there there should many spaces inserted
 					topEd += part.length
-					topProbabilityLog = Math.log10(10.0 / (SymSpell.N / Math.pow(10.0, part.length)))
+					topProbabilityLog = Math.log10(this.unknownProbability(part))
 				}
 
 				const destinationIndex = (i + circularIndex) % arraySize
 
 				// set values in first loop
 				if (j === 0) {
-					compositions[destinationIndex] = { 
+					compositions[destinationIndex] = {
 						segmentedString: part,
 						correctedString: topResult,
 						distanceSum: topEd,
@@ -909,8 +2564,624 @@ class SymSpell {
 			}
 		}
 
+		if (compositions[circularIndex] !== undefined) {
+			compositions[circularIndex].probability = Math.pow(10, compositions[circularIndex].probabilityLogSum)
+		}
+
+		if (cacheKey !== null) {
+			this.cacheResult(cacheKey, compositions[circularIndex])
+		}
+
 		return compositions[circularIndex]
 	}
 }
 
+// Read the entries of a dictionary source for the loaders.
+// A line is turned into entries by parseLine, which returns a list of [key, count] pairs or the reason to reject the line,
+// entries which aren't lines of text (see Helpers.readLines) are taken as a [key, count] pair. Blank lines are skipped.
+// Every entry with a term and a non-negative integer count is passed to addEntry, which returns true if it merged
+// with an already existing entry.
+// returns -> A load report { linesRead, entriesAdded, entriesMerged, rejected: [{ line, reason, content }] },
+// or false if the file is not found.
+async function loadEntries (source, strict, parseLine, addEntry) {
+	const report = {
+		linesRead: 0,
+		entriesAdded: 0,
+		entriesMerged: 0,
+		rejected: []
+	}
+
+	const sourceFile = Helpers.isFilePath(source) ? source : null
+
+	const reject = (reason, content) => {
+		if (strict) {
+			throw new DictionaryLoadError(reason, report.linesRead, sourceFile)
+		}
+
+		report.rejected.push({ line: report.linesRead, reason, content })
+	}
+
+	try {
+		for await (const line of Helpers.readLines(source)) {
+			report.linesRead++
+
+			if (typeof line === 'string' && line.trim().length === 0) {
+				continue
+			}
+
+			const entries = (typeof line === 'string') ? parseLine(line) : [line]
+
+			if (typeof entries === 'string') {
+				reject(entries, line)
+				continue
+			}
+
+			for (const entry of entries) {
+				const [key, count] = Array.isArray(entry) ? entry : []
+
+				if (typeof key !== 'string' || key.length === 0) {
+					reject('missing term', line)
+				}
+				else if (typeof count === 'string' ? !/^\d+$/.test(count) : !(Number.isSafeInteger(count) && count >= 0)) {
+					reject(`invalid count ${JSON.stringify(count)}`, line)
+				}
+				else if (addEntry(key, typeof count === 'string' ? parseInt(count, 10) : count)) {
+					report.entriesMerged++
+				}
+				else {
+					report.entriesAdded++
+				}
+			}
+		}
+	}
+	catch (err) {
+		if (err.code === 'ENOENT' && sourceFile !== null && !strict) {
+			return false
+		}
+
+		throw sourceLoadError(err, sourceFile)
+	}
+
+	return report
+}
+
+// Helpers.readLines for SymSpell.load, which throws a DictionaryLoadError if the file is not found or can't be decompressed.
+async function * readSourceLines (source) {
+	try {
+		yield * Helpers.readLines(source)
+	}
+	catch (err) {
+		throw sourceLoadError(err, Helpers.isFilePath(source) ? source : null)
+	}
+}
+
+// returns -> A DictionaryLoadError for an error reading a source that is missing or can't be decompressed, other errors as they are.
+const sourceLoadError = (err, sourceFile) => {
+	if (err.code === 'ENOENT' && sourceFile !== null) {
+		return new DictionaryLoadError('file not found', null, sourceFile)
+	}
+
+	// zlib error codes, e.g. Z_DATA_ERROR for data which isn't gzip or Z_BUF_ERROR for truncated data
+	if (typeof err.code === 'string' && err.code.startsWith('Z_')) {
+		return new DictionaryLoadError(`invalid compressed data (${err.message})`, null, sourceFile)
+	}
+
+	return err
+}
+
+// A dictionary layered over a shared base dictionary, e.g. a small per-user vocabulary over a large language dictionary.
+// The layer answers lookup, lookupCompound and wordSegmentation over both dictionaries without copying the base, which
+// is never modified by the layer (but changes to it are visible through the layer).
+// Through the layer, words can be added (with their own deletes), the counts of base words can be boosted and base
+// words can be hidden. Suggestions carry the name of the layer they came from as layer ('base' for the base dictionary).
+class LayeredSymSpell extends SymSpell {
+	// base: The SymSpell instance with the shared dictionary, this can itself be a LayeredSymSpell.
+	// name: The name of the layer.
+	constructor (base, name = 'overlay') {
+		super(base.maxDictionaryEditDistance, base.prefixLength, base.countThreshold, {
+			compact: base.compact,
+			distanceAlgorithm: base.distanceAlgorithm,
+			phonetic: base.phonetic,
+			cacheSize: base.cacheSize,
+			caseAware: base.caseAware
+		})
+
+		this.base = base
+		this.name = name
+		// counts added by the layer to words of the base
+		this.boosts = new Map()
+		// words of the base which are hidden by the layer
+		this.hiddenWords = new Set()
+	}
+
+	// The results of the layer also change with the base.
+	dictionaryVersions () {
+		return this.base.dictionaryVersions() + '.' + this.dictionaryVersion
+	}
+
+	// Add a word to the layer, or add to the count of a word of the base if it has it (and it isn't hidden).
+	// returns -> True if the word was added as a new correctly spelled word of the layer, otherwise false.
+	createDictionaryEntry (key, count) {
+		const word = this.wordKey(key)
+
+		if (this.isBaseWord(word)) {
+			if (count > 0) {
+				this.dictionaryChanged()
+				const boost = this.boosts.get(word) || 0
+
+				// the casings of the base are merged with the ones of the layer, see surfaceForms
+				if (this.caseAware) {
+					this.addCasing(key, count, boost)
+				}
+
+				this.boosts.set(word, (Number.MAX_SAFE_INTEGER - boost > count) ? boost + count : Number.MAX_SAFE_INTEGER)
+			}
+
+			return false
+		}
+
+		return super.createDictionaryEntry(key, count)
+	}
+
+	// The deletes of the layer are merged with those of the base, so maxDictionaryEditDistance and prefixLength always
+	// come from the base: call this after reconfiguring the base to rebuild the layer with them.
+	reconfigure ({ countThreshold = this.countThreshold } = {}) {
+		super.reconfigure({
+			maxDictionaryEditDistance: this.base.maxDictionaryEditDistance,
+			prefixLength: this.base.prefixLength,
+			countThreshold
+		})
+	}
+
+	// Remove a word added to the layer, or the boost of a word of the base. Use hideWord to remove words of the base.
+	// returns -> True if the word or boost was removed, otherwise false.
+	deleteDictionaryEntry (key) {
+		key = this.wordKey(key)
+		const removedBoost = this.boosts.delete(key)
+
+		return super.deleteDictionaryEntry(key) || removedBoost
+	}
+
+	// Set the count of a word of the layer, or boost a word of the base so that its count through the layer equals count.
+	// A count of zero or less removes the word from the layer, and hides words of the base.
+	// returns -> True if the word is a correctly spelled word after the update, otherwise false.
+	updateDictionaryEntry (key, count) {
+		if (!this.isBaseWord(this.wordKey(key))) {
+			return super.updateDictionaryEntry(key, count)
+		}
+
+		key = this.wordKey(key)
+
+		if (count <= 0) {
+			this.hideWord(key)
+
+			return false
+		}
+
+		this.dictionaryChanged()
+		this.boosts.set(key, count - this.base.wordCount(key))
+
+		return true
+	}
+
+	// Hide a word, whether it comes from the base or was added to the layer.
+	hideWord (key) {
+		key = this.wordKey(key)
+		this.dictionaryChanged()
+		this.boosts.delete(key)
+		super.deleteDictionaryEntry(key)
+		this.hiddenWords.add(key)
+	}
+
+	// Make a hidden word of the base visible again.
+	// returns -> True if the word was hidden, otherwise false.
+	unhideWord (key) {
+		this.dictionaryChanged()
+
+		return this.hiddenWords.delete(this.wordKey(key))
+	}
+
+	// returns -> True if the word is a visible, correctly spelled word of the base (and not added to the layer itself).
+	isBaseWord (key) {
+		return !this.words.has(key) && !this.hiddenWords.has(key) && this.base.wordCount(key) !== undefined
+	}
+
+	// returns -> The name of the layer a correctly spelled word comes from, or null if the word is not in the dictionary.
+	layerOf (key) {
+		if (this.words.has(key) || this.boosts.has(key)) {
+			return this.name
+		}
+
+		if (!this.isBaseWord(key)) {
+			return null
+		}
+
+		return (this.base instanceof LayeredSymSpell) ? this.base.layerOf(key) : 'base'
+	}
+
+	wordCount (key) {
+		if (this.words.has(key)) {
+			return this.words.get(key)
+		}
+
+		if (this.hiddenWords.has(key)) {
+			return undefined
+		}
+
+		const count = this.base.wordCount(key)
+
+		if (count === undefined || !this.boosts.has(key)) {
+			return count
+		}
+
+		return Math.min(Math.max(count + this.boosts.get(key), 0), Number.MAX_SAFE_INTEGER)
+	}
+
+	deleteSuggestions (del) {
+		let suggestions = this.base.deleteSuggestions(del)
+
+		if (suggestions !== undefined && this.hiddenWords.size > 0) {
+			suggestions = suggestions.filter((key) => !this.hiddenWords.has(key))
+		}
+
+		const ownSuggestions = SymSpell.prototype.deleteSuggestions.call(this, del)
+
+		if (ownSuggestions === undefined) {
+			return suggestions
+		}
+
+		return (suggestions === undefined) ? ownSuggestions : suggestions.concat(ownSuggestions)
+	}
+
+	bigramCount (key) {
+		return this.bigrams.has(key) ? this.bigrams.get(key) : this.base.bigramCount(key)
+	}
+
+	minBigramCount () {
+		return Math.min(this.bigramCountMin, this.base.minBigramCount())
+	}
+
+	ngramCount (key) {
+		return this.ngrams.has(key) ? this.ngrams.get(key) : this.base.ngramCount(key)
+	}
+
+	// the corpus size and the probabilities of unknown words are those of the base
+	get N () {
+		return this.base.N
+	}
+
+	unknownProbability (term) {
+		return this.base.unknownProbability(term)
+	}
+
+	maxNgramOrder () {
+		return Math.max(this.ngramOrder, this.base.maxNgramOrder())
+	}
+
+	maxWordLength () {
+		return Math.max(this.maxDictionaryWordLength, this.base.maxWordLength())
+	}
+
+	phraseOf (key) {
+		if (this.phrases.has(key)) {
+			return this.phrases.get(key)
+		}
+
+		const phrase = this.base.phraseOf(key)
+
+		return (phrase === undefined || this.hiddenWords.has(phrase)) ? undefined : phrase
+	}
+
+	maxWordsPerPhrase () {
+		return Math.max(this.maxPhraseWords, this.base.maxWordsPerPhrase())
+	}
+
+	phoneticSuggestions (code) {
+		let suggestions = this.base.phoneticSuggestions(code)
+
+		if (suggestions !== undefined && this.hiddenWords.size > 0) {
+			suggestions = suggestions.filter((key) => !this.hiddenWords.has(key))
+		}
+
+		const ownSuggestions = this.phoneticIndex.get(code)
+
+		if (ownSuggestions === undefined) {
+			return suggestions
+		}
+
+		return (suggestions === undefined) ? ownSuggestions : suggestions.concat(ownSuggestions)
+	}
+
+	wordKeys () {
+		const keys = new Set(this.base.wordKeys().filter((key) => !this.hiddenWords.has(key)))
+
+		for (const key of this.words.keys()) {
+			keys.add(key)
+		}
+
+		return Array.from(keys)
+	}
+
+	// The casings counted by the layer for a word of the base add to the ones of the base.
+	surfaceForms (key) {
+		const forms = this.casings.get(key)
+
+		if (!this.isBaseWord(key)) {
+			return forms
+		}
+
+		const baseForms = this.base.surfaceForms(key)
+
+		if (forms === undefined) {
+			return baseForms
+		}
+
+		// words of the base without casings are only known in lowercase
+		const merged = new Map((baseForms === undefined) ? [[key, this.base.wordCount(key)]] : baseForms)
+
+		for (const [form, count] of forms) {
+			merged.set(form, (merged.get(form) || 0) + count)
+		}
+
+		return merged
+	}
+
+	lookup (input, verbosity, maxEditDistance = null, options = {}) {
+		const suggestions = super.lookup(input, verbosity, maxEditDistance, options)
+
+		suggestions.forEach((suggestion) => {
+			suggestion.layer = this.layerOf(suggestion.term.toLowerCase())
+		})
+
+		return suggestions
+	}
+
+	// The layer of the corrected line is the one of the top layer if any of its words came from it, otherwise the base.
+	lookupCompound (input, maxEditDistance = null, options = {}) {
+		const suggestions = super.lookupCompound(input, maxEditDistance, options)
+
+		suggestions.forEach((suggestion) => {
+			const layers = suggestion.term.toLowerCase().split(' ').map((key) => this.layerOf(key))
+			suggestion.layer = layers.includes(this.name) ? this.name : layers.find((layer) => layer !== null) || null
+		})
+
+		return suggestions
+	}
+}
+
+// Count of a sequence of words: a word, a bigram or a longer n-gram.
+const sequenceCount = (symSpell, terms) => {
+	if (terms.length === 1) {
+		return symSpell.wordCount(terms[0])
+	}
+
+	const key = terms.join(' ')
+
+	return (terms.length === 2) ? symSpell.bigramCount(key) : symSpell.ngramCount(key)
+}
+
+// "Stupid backoff" score of the last of terms following the others: the count of the whole sequence relative to the count
+// of its context if both are known, otherwise the score without the first word multiplied by NGRAM_BACKOFF.
+const ngramBackoff = (symSpell, terms) => {
+	let factor = 1
+
+	for (; terms.length > 1; terms = terms.slice(1)) {
+		const count = sequenceCount(symSpell, terms)
+
+		if (count > 0) {
+			const contextCount = sequenceCount(symSpell, terms.slice(0, -1))
+
+			if (contextCount > 0) {
+				return factor * Math.min(count / contextCount, 1)
+			}
+		}
+
+		factor *= NGRAM_BACKOFF
+	}
+
+	const count = symSpell.wordCount(terms[0])
+
+	if (count > 0) {
+		return factor * count / symSpell.N
+	}
+
+	return factor * symSpell.unknownProbability(terms[0])
+}
+
+// Primary and alternate Double Metaphone codes of a word, the default phonetic algorithm.
+const doubleMetaphoneCodes = (term) => doubleMetaphone(term)
+
+// FNV-1a hash of a delete for compact mode, reduced to 30 bits so that it is always stored as a small integer.
+const hashDelete = (del) => {
+	let hash = 0x811c9dc5
+
+	for (let i = 0; i < del.length; i++) {
+		hash ^= del.charCodeAt(i)
+		hash = Math.imul(hash, 0x01000193)
+	}
+
+	return hash & 0x3fffffff
+}
+
+// Estimated heap bytes of a string, strings with characters beyond Latin-1 use two bytes per character.
+const heapStringBytes = (text) => {
+	const characterBytes = /[^\u0000-\u00ff]/.test(text) ? 2 : 1
+
+	return HEAP_STRING_BYTES + Math.ceil(text.length * characterBytes / 8) * 8
+}
+
+// Estimated heap bytes of an array filled by push, which grows its capacity by half plus 16 elements at a time.
+const heapArrayBytes = (length) => {
+	let capacity = 0
+
+	while (capacity < length) {
+		capacity += (capacity >> 1) + 16
+	}
+
+	return HEAP_ARRAY_BYTES + capacity * HEAP_POINTER_BYTES
+}
+
+// Estimated heap bytes of a Map of strings to counts.
+const heapMapBytes = (map) => {
+	let bytes = map.size * HEAP_MAP_ENTRY_BYTES
+
+	for (const [key, count] of map) {
+		bytes += heapStringBytes(key) + ((count > 0x3fffffff) ? HEAP_NUMBER_BYTES : 0)
+	}
+
+	return bytes
+}
+
+// Sort [term, count] entries for saveDictionary and saveBigramDictionary.
+const sortEntries = (entries, sortBy) => {
+	switch (sortBy) {
+	case null:
+	case undefined:
+		return entries
+
+	case 'count':
+		return entries.sort(([term1, count1], [term2, count2]) => count2 - count1)
+
+	case 'term':
+		return entries.sort(([term1], [term2]) => term1 < term2 ? -1 : (term1 > term2 ? 1 : 0))
+
+	default:
+		throw new Error(`Unknown sortBy ${sortBy}, expected 'count' or 'term'`)
+	}
+}
+
+// returns -> The number of edits turning a suggestion of lookup into the input: its weightedDistance if it has one, 0 for the
+// input added by includeUnknown.
+const suggestionEdits = (suggestion) => {
+	if (suggestion.count === 0) {
+		return 0
+	}
+
+	return (suggestion.weightedDistance === undefined) ? suggestion.distance : suggestion.weightedDistance
+}
+
+// Keep the results among the ranked suggestions (see lookupWeighted), and record the other ones in the explanation of the
+// list if it has one.
+// rank: The property of the suggestions they are ranked by.
+const keepRanked = (suggestions, results, rank) => {
+	if (suggestions.explanation !== undefined) {
+		const explanation = suggestions.explanation
+
+		suggestions.filter((suggestion) => !results.includes(suggestion)).forEach((suggestion) => {
+			explanation.rejected.push({ term: suggestion.term, candidate: null, reason: 'verbosity', distance: suggestion.distance })
+		})
+
+		explanation.results = results.map((s) => ({ term: s.term, distance: s.distance, count: s.count, [rank]: s[rank] }))
+		results.explanation = explanation
+	}
+
+	return results
+}
+
+// Keep the ranked suggestions verbosity asks for, Verbosity.CLOSEST keeping the ones ranked like the first one.
+const selectRanked = (suggestions, verbosity, rank) => {
+	if (verbosity === SymSpell.Verbosity.TOP) {
+		return keepRanked(suggestions, suggestions.slice(0, 1), rank)
+	}
+
+	if (verbosity === SymSpell.Verbosity.CLOSEST && suggestions.length > 0) {
+		return keepRanked(suggestions, suggestions.filter((suggestion) => suggestion[rank] === suggestions[0][rank]), rank)
+	}
+
+	return keepRanked(suggestions, suggestions, rank)
+}
+
+// Keep the first limit ranked suggestions, see the limit option of lookup.
+const limitRanked = (suggestions, limit, rank) => {
+	if (limit === null || suggestions.length <= limit) {
+		return suggestions
+	}
+
+	return keepRanked(suggestions, suggestions.slice(0, limit), rank)
+}
+
+// Key of the cached result of a call: the method and its arguments (regular expressions as their source).
+const resultKey = (...args) => JSON.stringify(args, (key, value) => (value instanceof RegExp) ? value.toString() : value)
+
+// Copy of a cached result: a list of SuggestItem (with the properties set by lookup, like layer or phonetic), or the
+// composition returned by wordSegmentation.
+const copyResult = (result) => {
+	if (Array.isArray(result)) {
+		return result.map((item) => Object.assign(new SuggestItem(), item))
+	}
+
+	return Object.assign({}, result)
+}
+
+// Lines of an index file as written by SymSpell.save: the header followed by every section.
+function * indexLines (symSpell) {
+	const wordIndexes = new Map()
+
+	for (const key of symSpell.words.keys()) {
+		wordIndexes.set(key, wordIndexes.size)
+	}
+
+	yield JSON.stringify({
+		format: INDEX_FORMAT,
+		version: INDEX_FORMAT_VERSION,
+		maxDictionaryEditDistance: symSpell.maxDictionaryEditDistance,
+		prefixLength: symSpell.prefixLength,
+		countThreshold: symSpell.countThreshold,
+		corpusSize: symSpell.corpusSize,
+		// custom comparers can't be saved
+		distanceAlgorithm: (typeof symSpell.distanceAlgorithm === 'object') ? undefined : symSpell.distanceAlgorithm,
+		// custom phonetic algorithms can't be saved either
+		phonetic: symSpell.phonetic === true,
+		cacheSize: symSpell.cacheSize,
+		caseAware: symSpell.caseAware,
+		maxDictionaryWordLength: symSpell.maxDictionaryWordLength,
+		bigramCountMin: symSpell.bigramCountMin,
+		words: symSpell.words.size,
+		belowThresholdWords: symSpell.belowThresholdWords.size,
+		bigrams: symSpell.bigrams.size,
+		ngramOrder: symSpell.ngramOrder,
+		ngrams: symSpell.ngrams.size,
+		casings: symSpell.casings.size,
+		deletes: symSpell.deletes.size,
+		compact: symSpell.compact
+	})
+
+	for (const entry of symSpell.words) {
+		yield JSON.stringify(entry)
+	}
+
+	for (const entry of symSpell.belowThresholdWords) {
+		yield JSON.stringify(entry)
+	}
+
+	for (const entry of symSpell.bigrams) {
+		yield JSON.stringify(entry)
+	}
+
+	for (const entry of symSpell.ngrams) {
+		yield JSON.stringify(entry)
+	}
+
+	for (const [key, forms] of symSpell.casings) {
+		yield JSON.stringify([key, Array.from(forms)])
+	}
+
+	for (const [del, suggestions] of symSpell.deletes) {
+		if (symSpell.compact) {
+			const ids = (typeof suggestions === 'number') ? [suggestions] : suggestions
+			yield JSON.stringify([del, ids.map((id) => wordIndexes.get(symSpell.wordList[id]))])
+			continue
+		}
+
+		yield JSON.stringify([del, suggestions.map((key) => wordIndexes.get(key))])
+	}
+}
+
 module.exports = SymSpell
+module.exports.DictionaryLoadError = DictionaryLoadError
+module.exports.LayeredSymSpell = LayeredSymSpell
+module.exports.EditDistance = EditDistance
+module.exports.WeightedEditDistance = WeightedEditDistance
+module.exports.SuggestItem = SuggestItem
+// required last, the pool uses the exports above
+module.exports.SymSpellPool = require('./pool')
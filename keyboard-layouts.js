@@ -0,0 +1,65 @@
+// Rows of keys of common keyboard layouts, from the number row down, used by WeightedEditDistance to charge less for
+// substitutions of neighbouring keys. Only the characters typed without modifier keys are listed, except the extra key
+// left of the bottom row of ISO keyboards ("<"), which would shift the bottom row against the rows above.
+const QWERTY = [
+	'1234567890-=',
+	'qwertyuiop[]',
+	'asdfghjkl;\'',
+	'zxcvbnm,./'
+]
+
+const AZERTY = [
+	'&é"\'(-è_çà)=',
+	'azertyuiop^$',
+	'qsdfghjklmù*',
+	'wxcvbn,;:!'
+]
+
+const QWERTZ = [
+	'1234567890ß´',
+	'qwertzuiopü+',
+	'asdfghjklöä#',
+	'yxcvbnm,.-'
+]
+
+// Map every key of a layout to the set of its neighbours. Each row is staggered half a key to the right of the row above,
+// so the key at position i touches the keys i and i + 1 of the row above and the keys i - 1 and i of the row below.
+// rows: The rows of the layout, e.g. QWERTY.
+// returns -> A Map of each character to the Set of the characters of its neighbouring keys.
+const adjacentKeys = (rows) => {
+	const adjacency = new Map()
+
+	const link = (key1, key2) => {
+		if (key1 === undefined || key2 === undefined) {
+			return
+		}
+
+		for (const [key, neighbour] of [[key1, key2], [key2, key1]]) {
+			if (!adjacency.has(key)) {
+				adjacency.set(key, new Set())
+			}
+
+			adjacency.get(key).add(neighbour)
+		}
+	}
+
+	rows.forEach((row, r) => {
+		for (let i = 0; i < row.length; i++) {
+			link(row[i], row[i + 1])
+
+			if (r > 0) {
+				link(row[i], rows[r - 1][i])
+				link(row[i], rows[r - 1][i + 1])
+			}
+		}
+	})
+
+	return adjacency
+}
+
+module.exports = {
+	QWERTY,
+	AZERTY,
+	QWERTZ,
+	adjacentKeys
+}
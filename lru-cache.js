@@ -0,0 +1,48 @@
+// Size-bounded cache evicting the least recently used entry, used by SymSpell to keep the results of lookup,
+// lookupCompound and wordSegmentation (see the cacheSize option). A Map iterates in insertion order, so an entry is
+// moved to the end whenever it's used and the first entry is the least recently used one.
+class LRUCache {
+	// capacity: The maximum number of entries.
+	constructor (capacity) {
+		this.capacity = capacity
+		this.entries = new Map()
+		this.hits = 0
+		this.misses = 0
+	}
+
+	get size () {
+		return this.entries.size
+	}
+
+	// returns -> The value of key, or undefined if it isn't cached.
+	get (key) {
+		if (!this.entries.has(key)) {
+			this.misses++
+
+			return undefined
+		}
+
+		const value = this.entries.get(key)
+		this.entries.delete(key)
+		this.entries.set(key, value)
+		this.hits++
+
+		return value
+	}
+
+	set (key, value) {
+		this.entries.delete(key)
+		this.entries.set(key, value)
+
+		if (this.entries.size > this.capacity) {
+			this.entries.delete(this.entries.keys().next().value)
+		}
+	}
+
+	// Remove all entries, the hit and miss counts are kept.
+	clear () {
+		this.entries.clear()
+	}
+}
+
+module.exports = LRUCache
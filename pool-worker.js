@@ -0,0 +1,38 @@
+// Worker thread of SymSpellPool: loads the index file of workerData and answers the tasks { id, method, args } of the pool
+// with { id, result } or { id, error }, after a { ready: true } message once the dictionary is loaded.
+const { parentPort, workerData } = require('worker_threads')
+const SymSpell = require('./index')
+
+// Errors are sent as plain objects, which keep their message, name and stack, and the properties of a DictionaryLoadError.
+const serializeError = (err) => Object.assign({ message: err.message, name: err.name, stack: err.stack }, err)
+
+const run = (symSpell, method, args) => {
+	if (method === 'correctBatch') {
+		const [texts, maxEditDistance, options] = args
+
+		return texts.map((text) => symSpell.lookupCompound(text, maxEditDistance, options))
+	}
+
+	return symSpell[method](...args)
+}
+
+SymSpell.load(workerData.indexFile).then((symSpell) => {
+	parentPort.on('message', ({ id, method, args }) => {
+		let result
+
+		try {
+			result = run(symSpell, method, args)
+		}
+		catch (err) {
+			parentPort.postMessage({ id, error: serializeError(err) })
+
+			return
+		}
+
+		parentPort.postMessage({ id, result })
+	})
+
+	parentPort.postMessage({ ready: true })
+}, (err) => {
+	parentPort.postMessage({ error: serializeError(err) })
+})
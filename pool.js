@@ -0,0 +1,262 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Worker } = require('worker_threads')
+const SymSpell = require('./index')
+
+const WORKER_FILE = path.join(__dirname, 'pool-worker.js')
+
+// The methods of SymSpell which can be called through the pool.
+const METHODS = ['lookup', 'lookupCompound', 'wordSegmentation', 'correctBatch']
+
+// One worker per CPU, os.cpus() can be empty in some containers.
+const defaultSize = () => Math.max(os.cpus().length, 1)
+
+// A pool of worker threads, each with its own copy of a dictionary loaded from an index file (see SymSpell.save), which
+// answers lookup, lookupCompound and wordSegmentation without blocking the event loop of the main thread.
+// The results are the ones of SymSpell.load(indexFile), so the smoothing strategy, custom distance comparers and custom
+// phonetic algorithms of the instance which saved the index aren't used, and neither are options which are functions or
+// class instances (like weightedDistance), which can't be sent to a worker.
+class SymSpellPool {
+	// Use SymSpellPool.load or SymSpellPool.share, which wait until the workers have loaded the dictionary.
+	// indexFile: The path+filename of the index file loaded by every worker.
+	// size: The number of worker threads.
+	constructor (indexFile, size = defaultSize()) {
+		if (!(size >= 1)) {
+			throw new Error(`Invalid pool size ${size}, expected at least 1 worker`)
+		}
+
+		this.nextId = 0
+		this.closed = false
+		// tasks sent to the workers and not answered yet, by id
+		this.tasks = new Map()
+		this.workers = []
+
+		for (let i = 0; i < size; i++) {
+			this.workers.push(this.startWorker(indexFile))
+		}
+
+		this.ready = Promise.all(this.workers.map((worker) => worker.ready))
+	}
+
+	// Create a pool whose workers load a dictionary saved by SymSpell.save.
+	// indexFile: The path+filename of the index file.
+	// size: The number of worker threads, one per CPU by default.
+	// returns -> The SymSpellPool once every worker loaded the dictionary.
+	static async load (indexFile, { size = defaultSize() } = {}) {
+		const pool = new SymSpellPool(indexFile, size)
+
+		try {
+			await pool.ready
+		}
+		catch (err) {
+			await pool.close()
+			throw err
+		}
+
+		return pool
+	}
+
+	// Create a pool with the dictionary of an instance, through a temporary index file removed once the workers loaded it.
+	// symSpell: The SymSpell instance to copy to the workers. Layers can't be shared, save their words to a SymSpell first.
+	// Neither can instances with settings the index file doesn't keep (see SymSpell.load), as the workers would return
+	// other results than the instance.
+	// size: The number of worker threads, one per CPU by default.
+	// returns -> The SymSpellPool once every worker loaded the dictionary.
+	static async share (symSpell, { size = defaultSize() } = {}) {
+		if (symSpell instanceof SymSpell.LayeredSymSpell) {
+			throw new Error('A LayeredSymSpell can\'t be shared with a pool')
+		}
+
+		const unsaved = []
+
+		if (symSpell.smoothing !== SymSpell.Smoothing.length()) {
+			unsaved.push('smoothing')
+		}
+
+		if (typeof symSpell.distanceAlgorithm === 'object') {
+			unsaved.push('distance comparer')
+		}
+
+		if (typeof symSpell.phonetic === 'function') {
+			unsaved.push('phonetic algorithm')
+		}
+
+		if (unsaved.length > 0) {
+			throw new Error(`A SymSpell with a custom ${unsaved.join(', ')} can't be shared with a pool, the index file of the workers doesn't keep it`)
+		}
+
+		const indexFile = path.join(os.tmpdir(), `symspell-pool-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.idx`)
+		await symSpell.save(indexFile)
+
+		try {
+			return await SymSpellPool.load(indexFile, { size })
+		}
+		finally {
+			await fs.promises.unlink(indexFile)
+		}
+	}
+
+	startWorker (indexFile) {
+		const worker = new Worker(WORKER_FILE, { workerData: { indexFile } })
+		const entry = { worker, pending: 0, exited: false }
+
+		entry.ready = new Promise((resolve, reject) => {
+			entry.loaded = resolve
+			entry.failed = reject
+		})
+
+		worker.on('message', (message) => this.receive(entry, message))
+
+		worker.on('error', (err) => {
+			entry.failed(err)
+			this.rejectPending(entry, err)
+		})
+
+		worker.on('exit', (code) => {
+			entry.exited = true
+			const err = new Error(`SymSpellPool worker stopped with exit code ${code}`)
+			entry.failed(err)
+			this.rejectPending(entry, err)
+		})
+
+		return entry
+	}
+
+	receive (entry, { id, ready, result, error }) {
+		if (ready) {
+			entry.loaded()
+
+			return
+		}
+
+		const err = (error === undefined) ? null : deserializeError(error)
+
+		if (id === undefined) {
+			// the worker couldn't load the dictionary
+			entry.failed(err)
+
+			return
+		}
+
+		const task = this.tasks.get(id)
+		this.tasks.delete(id)
+		entry.pending--
+
+		if (err !== null) {
+			task.reject(err)
+		}
+		else {
+			task.resolve(result)
+		}
+	}
+
+	rejectPending (entry, err) {
+		for (const [id, task] of this.tasks) {
+			if (task.entry === entry) {
+				this.tasks.delete(id)
+				task.reject(err)
+			}
+		}
+
+		entry.pending = 0
+	}
+
+	// Run a method of SymSpell on the worker with the fewest pending tasks.
+	// returns -> A promise of the result of the method, as received from the worker.
+	run (method, args) {
+		if (this.closed) {
+			return Promise.reject(new Error('SymSpellPool is closed'))
+		}
+
+		if (!METHODS.includes(method)) {
+			return Promise.reject(new Error(`Unknown SymSpellPool method ${method}`))
+		}
+
+		const workers = this.workers.filter((worker) => !worker.exited)
+
+		if (workers.length === 0) {
+			return Promise.reject(new Error('Every SymSpellPool worker stopped'))
+		}
+
+		const entry = workers.reduce((idlest, worker) => (worker.pending < idlest.pending) ? worker : idlest)
+		const id = this.nextId++
+
+		return new Promise((resolve, reject) => {
+			this.tasks.set(id, { entry, resolve, reject })
+			entry.pending++
+			entry.worker.postMessage({ id, method, args })
+		})
+	}
+
+	// See SymSpell.lookup.
+	// returns -> A promise of the list of SuggestItem.
+	async lookup (input, verbosity, maxEditDistance = null, options = {}) {
+		return suggestItems(await this.run('lookup', [input, verbosity, maxEditDistance, options]))
+	}
+
+	// See SymSpell.lookupCompound.
+	// returns -> A promise of the list of SuggestItem.
+	async lookupCompound (input, maxEditDistance = null, options = {}) {
+		return suggestItems(await this.run('lookupCompound', [input, maxEditDistance, options]))
+	}
+
+	// See SymSpell.wordSegmentation.
+	// returns -> A promise of the composition.
+	wordSegmentation (input, options = {}) {
+		return this.run('wordSegmentation', [input, options])
+	}
+
+	// Correct many strings with lookupCompound, split in one chunk of consecutive texts per worker.
+	// texts: The strings being spell checked.
+	// returns -> A promise of the list of SuggestItem returned by lookupCompound for every text, in the order of texts.
+	async correctBatch (texts, maxEditDistance = null, options = {}) {
+		const chunkSize = Math.ceil(texts.length / this.workers.length)
+		const chunks = []
+
+		for (let i = 0; i < texts.length; i += chunkSize) {
+			chunks.push(this.run('correctBatch', [texts.slice(i, i + chunkSize), maxEditDistance, options]))
+		}
+
+		const results = await Promise.all(chunks)
+
+		return [].concat(...results).map(suggestItems)
+	}
+
+	// Stop the workers, tasks which weren't answered yet are rejected.
+	async close () {
+		this.closed = true
+
+		await Promise.all(this.workers.map((entry) => {
+			entry.worker.removeAllListeners('exit')
+			this.rejectPending(entry, new Error('SymSpellPool is closed'))
+			// workers which are still loading the dictionary never will
+			entry.failed(new Error('SymSpellPool is closed'))
+
+			return entry.worker.terminate()
+		}))
+	}
+}
+
+// Errors thrown by a worker are received as plain objects, turned back into errors of the same class if it's a
+// built-in one or a DictionaryLoadError.
+const deserializeError = (error) => {
+	const ErrorClass = (error.name === 'DictionaryLoadError')
+		? SymSpell.DictionaryLoadError
+		: [EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError].find((errorClass) => errorClass.name === error.name) || Error
+
+	return Object.assign(Object.create(ErrorClass.prototype), error)
+}
+
+// Turn the suggestions received from a worker, which lost their prototype, back into SuggestItem.
+const suggestItems = (suggestions) => {
+	const items = suggestions.map((item) => Object.assign(new SymSpell.SuggestItem(), item))
+
+	if (suggestions.explanation !== undefined) {
+		items.explanation = suggestions.explanation
+	}
+
+	return items
+}
+
+module.exports = SymSpellPool
@@ -0,0 +1,58 @@
+// Estimates of the occurrence probability of words which aren't in the dictionary, used by lookupCompound,
+// wordSegmentation and ngramScore. A strategy is a function (term, symSpell) => probability, see SymSpell.Smoothing.
+// All of them make longer unknown words less likely by a factor of 10 per character, so that word segmentation still
+// prefers known words over a long unknown one.
+
+// Good-Turing estimates need the number of words seen once, which is only counted again once the dictionary changed.
+const singletonCounts = new WeakMap()
+
+const lengthFactor = (term) => Math.pow(10, 1 - term.length)
+
+const lengthEstimate = (term, symSpell) => lengthFactor(term) / symSpell.N
+
+// Probability of a word seen once in the corpus, spread over the unknown words of the same length.
+// This is the estimate of the original SymSpell: P=10 / (N * 10^word length l)
+// It's always the same function, so that the default strategy can be told apart from the others (see SymSpellPool.share).
+const length = () => lengthEstimate
+
+// Add-k (Lidstone) smoothing: an unknown word gets the probability of a word with a count of k once k was added to the count
+// of every word of the vocabulary (correctly spelled and below threshold words, plus the unknown word).
+// k: The count added to every word, 1 is Laplace smoothing.
+const addK = (k = 1) => {
+	return (term, symSpell) => {
+		const vocabularySize = symSpell.words.size + symSpell.belowThresholdWords.size + 1
+
+		return lengthFactor(term) * k / (symSpell.N + k * vocabularySize)
+	}
+}
+
+// Good-Turing smoothing: the probability of seeing an unknown word is the share of the corpus made of the words seen once
+// (N1 / N). Dictionaries which were filtered and have no words seen once fall back to the estimate of length.
+const goodTuring = () => {
+	return (term, symSpell) => {
+		let entry = singletonCounts.get(symSpell)
+
+		if (entry === undefined || entry.version !== symSpell.dictionaryVersion) {
+			let singletons = 0
+
+			for (const counts of [symSpell.words.values(), symSpell.belowThresholdWords.values()]) {
+				for (const count of counts) {
+					if (count === 1) {
+						singletons++
+					}
+				}
+			}
+
+			entry = { version: symSpell.dictionaryVersion, singletons }
+			singletonCounts.set(symSpell, entry)
+		}
+
+		return lengthFactor(term) * Math.max(entry.singletons, 1) / symSpell.N
+	}
+}
+
+module.exports = {
+	length,
+	addK,
+	goodTuring
+}
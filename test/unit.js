@@ -1,5 +1,8 @@
 const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const readline = require('readline')
+const zlib = require('zlib')
 const itertools = require('iter-tools')
 
 const Code = require('@hapi/code')
@@ -791,4 +794,1303 @@ experiment('symspell', () => {
 		result = symSpell.wordSegmentation(typo, { maxEditDistance, maxSegmentationWordLength: 11 })
 		expect(result.correctedString).to.equal(correction)
 	})
+
+	it('testSaveLoad', async () => {
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-save-load.idx')
+		const symSpell = new SymSpell(2, 5, 3)
+		symSpell.createDictionaryEntry('steam', 4)
+		symSpell.createDictionaryEntry('steams', 2)
+		symSpell.createDictionaryEntry('machine', 10)
+		symSpell.createDictionaryEntry('machinery', 7)
+		symSpell.bigrams.set('steam machine', 5)
+		symSpell.bigramCountMin = 5
+		await symSpell.save(indexPath)
+
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(loaded.maxDictionaryEditDistance).to.equal(2)
+		expect(loaded.prefixLength).to.equal(5)
+		expect(loaded.countThreshold).to.equal(3)
+		expect(loaded.maxDictionaryWordLength).to.equal(9)
+		expect(loaded.bigramCountMin).to.equal(5)
+		expect(Array.from(loaded.words)).to.equal(Array.from(symSpell.words))
+		expect(Array.from(loaded.belowThresholdWords)).to.equal([['steams', 2]])
+		expect(Array.from(loaded.bigrams)).to.equal([['steam machine', 5]])
+		expect(Array.from(loaded.deletes)).to.equal(Array.from(symSpell.deletes))
+
+		const result = loaded.lookup('machinry', SymSpell.Verbosity.ALL, 2)
+		expect(result.length).to.equal(2)
+		expect(result[0].term).to.equal('machinery')
+		expect(result[1].term).to.equal('machine')
+
+		// promoting a below threshold word still works on the restored instance
+		expect(loaded.createDictionaryEntry('steams', 1)).to.equal(true)
+		expect(loaded.lookup('steams', SymSpell.Verbosity.TOP, 0)[0].count).to.equal(3)
+	})
+
+	it('testSaveLoadDictionary', async () => {
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-save-load-dictionary.idx')
+		const symSpell = new SymSpell(2, 7)
+		await symSpell.loadDictionary('./test/data/frequency_dictionary_en_30_000.txt', 0, 1)
+		await symSpell.save(indexPath)
+
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(loaded.words.size).to.equal(symSpell.words.size)
+		expect(loaded.deletes.size).to.equal(symSpell.deletes.size)
+
+		for (const typo of ['helo', 'speling', 'dictonary', 'elefant']) {
+			expect(loaded.lookup(typo, SymSpell.Verbosity.ALL, 2)).to.equal(symSpell.lookup(typo, SymSpell.Verbosity.ALL, 2))
+		}
+	})
+
+	it('testLoadUnsupportedIndex', async () => {
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-unsupported.idx')
+		fs.writeFileSync(indexPath, JSON.stringify({ format: 'symspell-index', version: 0 }) + '\n')
+
+		await expect(SymSpell.load(indexPath)).to.reject(SymSpell.DictionaryLoadError, /unsupported index format/)
+		fs.unlinkSync(indexPath)
+	})
+
+	it('DeleteDictionaryEntryShouldRemoveWordAndDeletes', () => {
+		const symSpell = new SymSpell(2, 7)
+		symSpell.createDictionaryEntry('steam', 4)
+		symSpell.createDictionaryEntry('steams', 2)
+		symSpell.createDictionaryEntry('steamboats', 1)
+
+		const expected = new SymSpell(2, 7)
+		expected.createDictionaryEntry('steam', 4)
+		expected.createDictionaryEntry('steams', 2)
+
+		expect(symSpell.deleteDictionaryEntry('steamboats')).to.equal(true)
+		expect(symSpell.deleteDictionaryEntry('steamboats')).to.equal(false)
+		expect(symSpell.words.has('steamboats')).to.equal(false)
+		expect(symSpell.maxDictionaryWordLength).to.equal(6)
+		expect(Array.from(symSpell.deletes)).to.equal(Array.from(expected.deletes))
+
+		expect(symSpell.deleteDictionaryEntry('steam')).to.equal(true)
+		expect(symSpell.maxDictionaryWordLength).to.equal(6)
+
+		const result = symSpell.lookup('steam', SymSpell.Verbosity.ALL, 2)
+		expect(result.length).to.equal(1)
+		expect(result[0].term).to.equal('steams')
+	})
+
+	it('DeleteDictionaryEntryShouldRemoveBelowThresholdWord', () => {
+		const symSpell = new SymSpell(2, 7, 10)
+		symSpell.createDictionaryEntry('pawn', 1)
+
+		expect(symSpell.deleteDictionaryEntry('pawn')).to.equal(true)
+		expect(symSpell.belowThresholdWords.has('pawn')).to.equal(false)
+
+		symSpell.createDictionaryEntry('pawn', 9)
+		expect(symSpell.words.has('pawn')).to.equal(false)
+	})
+
+	it('UpdateDictionaryEntryShouldSetCount', () => {
+		const symSpell = new SymSpell(2, 7, 10)
+		symSpell.createDictionaryEntry('pawn', 20)
+
+		// lowering the count below the threshold demotes the word
+		expect(symSpell.updateDictionaryEntry('pawn', 5)).to.equal(false)
+		expect(symSpell.words.has('pawn')).to.equal(false)
+		expect(symSpell.belowThresholdWords.get('pawn')).to.equal(5)
+		expect(symSpell.deletes.size).to.equal(0)
+		expect(symSpell.lookup('pawn', SymSpell.Verbosity.TOP, 2).length).to.equal(0)
+
+		// raising it again promotes it
+		expect(symSpell.updateDictionaryEntry('pawn', 12)).to.equal(true)
+		expect(symSpell.belowThresholdWords.has('pawn')).to.equal(false)
+		expect(symSpell.lookup('pwn', SymSpell.Verbosity.TOP, 2)[0].count).to.equal(12)
+
+		expect(symSpell.updateDictionaryEntry('pawn', 15)).to.equal(true)
+		expect(symSpell.words.get('pawn')).to.equal(15)
+
+		expect(symSpell.updateDictionaryEntry('pawn', 0)).to.equal(false)
+		expect(symSpell.words.has('pawn')).to.equal(false)
+		expect(symSpell.belowThresholdWords.has('pawn')).to.equal(false)
+		expect(symSpell.maxDictionaryWordLength).to.equal(0)
+	})
+
+	it('testLoadDictionarySources', async () => {
+		const content = fs.readFileSync('./test/data/non_en_dict.txt')
+		const gzipPath = path.join(os.tmpdir(), 'symspell-test-non-en-dict.txt.gz')
+		fs.writeFileSync(gzipPath, zlib.gzipSync(content))
+
+		const sources = [
+			content,
+			zlib.gzipSync(content),
+			content.toString('utf8'),
+			fs.createReadStream('./test/data/non_en_dict.txt'),
+			gzipPath,
+			[['АБИ', 10], ['И', 1], ['Б', 2]],
+			new Map([['АБИ', 10], ['И', 1], ['Б', 2]])
+		]
+
+		for (const source of sources) {
+			const symSpell = new SymSpell(2, 7)
+			const report = await symSpell.loadDictionary(source, 0, 1)
+			expect(report.entriesAdded).to.equal(3)
+			expect(Array.from(symSpell.words)).to.equal([['АБИ', 10], ['И', 1], ['Б', 2]])
+
+			const result = symSpell.lookup('АБ', SymSpell.Verbosity.TOP, 2)
+			expect(result.length).to.equal(1)
+			expect(result[0].term).to.equal('АБИ')
+		}
+
+		fs.unlinkSync(gzipPath)
+	})
+
+	it('testLoadBigramDictionarySources', async () => {
+		let symSpell = new SymSpell()
+		await symSpell.loadBigramDictionary('steam machine 10\r\nsteam engine 20\r\n', 0, 2)
+		expect(Array.from(symSpell.bigrams)).to.equal([['steam machine', 10], ['steam engine', 20]])
+		expect(symSpell.bigramCountMin).to.equal(10)
+
+		symSpell = new SymSpell()
+		await symSpell.loadBigramDictionary(Buffer.from('steam machine\t10\nsteam engine\t20'), 0, 1, '\t')
+		expect(Array.from(symSpell.bigrams)).to.equal([['steam machine', 10], ['steam engine', 20]])
+
+		symSpell = new SymSpell()
+		await symSpell.loadBigramDictionary([['steam machine', 10], ['steam engine', 20]])
+		expect(Array.from(symSpell.bigrams)).to.equal([['steam machine', 10], ['steam engine', 20]])
+		expect(symSpell.bigramCountMin).to.equal(10)
+	})
+
+	it('testCreateDictionarySources', async () => {
+		let symSpell = new SymSpell()
+		await symSpell.createDictionary(['The steam machine', 'A steam engine'])
+		expect(Array.from(symSpell.words)).to.equal([['the', 1], ['steam', 2], ['machine', 1], ['a', 1], ['engine', 1]])
+
+		symSpell = new SymSpell()
+		await symSpell.createDictionary(zlib.gzipSync('The steam machine\nA steam engine\n'))
+		expect(Array.from(symSpell.words)).to.equal([['the', 1], ['steam', 2], ['machine', 1], ['a', 1], ['engine', 1]])
+	})
+
+	it('testSaveLoadCompressed', async () => {
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-save-load.idx.gz')
+		const symSpell = new SymSpell()
+		symSpell.createDictionaryEntry('steam', 4)
+		await symSpell.save(indexPath)
+
+		expect(fs.readFileSync(indexPath).slice(0, 2)).to.equal(Buffer.from([0x1f, 0x8b]))
+
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+		expect(Array.from(loaded.deletes)).to.equal(Array.from(symSpell.deletes))
+	})
+
+	it('testLoadDictionaryReport', async () => {
+		const symSpell = new SymSpell(2, 7)
+		symSpell.createDictionaryEntry('steam', 1)
+
+		const report = await symSpell.loadDictionary('steam 4\nmachine\n\nengine 12x\nmachine 10\nsteam 2\n', 0, 1)
+
+		expect(report).to.equal({
+			linesRead: 7,
+			entriesAdded: 1,
+			entriesMerged: 2,
+			rejected: [
+				{ line: 2, reason: 'expected a term and a count', content: 'machine' },
+				{ line: 4, reason: 'invalid count "12x"', content: 'engine 12x' }
+			]
+		})
+
+		expect(symSpell.words.get('steam')).to.equal(7)
+		expect(symSpell.words.has('engine')).to.equal(false)
+
+		const pairsReport = await symSpell.loadDictionary([['engine', 12], ['', 3], ['boiler', -1]])
+		expect(pairsReport.entriesAdded).to.equal(1)
+		expect(pairsReport.rejected.map((rejected) => rejected.reason)).to.equal(['missing term', 'invalid count -1'])
+	})
+
+	it('testLoadDictionaryStrict', async () => {
+		const symSpell = new SymSpell(2, 7)
+		const error = await expect(symSpell.loadDictionary('steam 4\nengine NaN\n', 0, 1, ' ', { strict: true })).to.reject(SymSpell.DictionaryLoadError)
+		expect(error.line).to.equal(2)
+		expect(error.reason).to.equal('invalid count "NaN"')
+		expect(error.message).to.equal('line 2: invalid count "NaN"')
+
+		const bigramError = await expect(symSpell.loadBigramDictionary('steam engine 4\nsteam 2\n', 0, 2, ' ', { strict: true })).to.reject(SymSpell.DictionaryLoadError)
+		expect(bigramError.line).to.equal(2)
+		expect(bigramError.reason).to.equal('expected a bigram and a count')
+	})
+
+	it('testLoadDictionaryFileNotFound', async () => {
+		const symSpell = new SymSpell(2, 7)
+		const missingPath = './test/data/missing_dictionary.txt'
+
+		expect(await symSpell.loadDictionary(missingPath, 0, 1)).to.equal(false)
+		expect(await symSpell.loadBigramDictionary(missingPath, 0, 2)).to.equal(false)
+		expect(await symSpell.createDictionary(missingPath)).to.equal(false)
+
+		const error = await expect(symSpell.loadDictionary(missingPath, 0, 1, ' ', { strict: true })).to.reject(SymSpell.DictionaryLoadError)
+		expect(error.line).to.equal(null)
+		expect(error.source).to.equal(missingPath)
+		expect(error.message).to.equal(`${missingPath}: file not found`)
+
+		const missingIndex = await expect(SymSpell.load(missingPath)).to.reject(SymSpell.DictionaryLoadError)
+		expect(missingIndex.source).to.equal(missingPath)
+		expect(missingIndex.reason).to.equal('file not found')
+	})
+
+	it('testLoadCorruptGzip', async () => {
+		const symSpell = new SymSpell(2, 7)
+		const corruptPath = path.join(os.tmpdir(), 'symspell-test-corrupt.txt.gz')
+		fs.writeFileSync(corruptPath, 'steam 4\n')
+
+		for (const strict of [false, true]) {
+			const error = await expect(symSpell.loadDictionary(corruptPath, 0, 1, ' ', { strict })).to.reject(SymSpell.DictionaryLoadError)
+			expect(error.source).to.equal(corruptPath)
+			expect(error.line).to.equal(null)
+			expect(error.reason).to.startWith('invalid compressed data')
+		}
+
+		await expect(SymSpell.load(corruptPath)).to.reject(SymSpell.DictionaryLoadError, /invalid compressed data/)
+		fs.unlinkSync(corruptPath)
+
+		const truncated = zlib.gzipSync('steam 4\nengine 2\n').slice(0, 20)
+		const bufferError = await expect(symSpell.loadDictionary(truncated, 0, 1)).to.reject(SymSpell.DictionaryLoadError)
+		expect(bufferError.source).to.equal(null)
+	})
+
+	it('testCreateDictionaryReport', async () => {
+		const symSpell = new SymSpell()
+		const report = await symSpell.createDictionary('The steam machine\nA steam engine\n')
+		expect(report).to.equal({ linesRead: 3, entriesAdded: 5, entriesMerged: 1, rejected: [] })
+	})
+
+	it('testBigramEntries', () => {
+		const symSpell = new SymSpell()
+
+		expect(symSpell.createBigramEntry('steam', 'machine', 5)).to.equal(true)
+		expect(symSpell.createBigramEntry('steam', 'engine', 3)).to.equal(true)
+		expect(symSpell.bigramCountMin).to.equal(3)
+
+		expect(symSpell.createBigramEntry('steam', 'engine', 4)).to.equal(false)
+		expect(symSpell.bigrams.get('steam engine')).to.equal(7)
+		expect(symSpell.bigramCountMin).to.equal(5)
+
+		expect(symSpell.updateBigramEntry('steam', 'machine', 2)).to.equal(true)
+		expect(symSpell.bigramCountMin).to.equal(2)
+
+		expect(symSpell.updateBigramEntry('steam', 'machine', 9)).to.equal(true)
+		expect(symSpell.bigramCountMin).to.equal(7)
+
+		expect(symSpell.deleteBigramEntry('steam', 'engine')).to.equal(true)
+		expect(symSpell.deleteBigramEntry('steam', 'engine')).to.equal(false)
+		expect(symSpell.bigramCountMin).to.equal(9)
+
+		expect(symSpell.updateBigramEntry('steam', 'machine', 0)).to.equal(false)
+		expect(symSpell.bigrams.size).to.equal(0)
+		expect(symSpell.bigramCountMin).to.equal(Number.MAX_SAFE_INTEGER)
+	})
+
+	it('testCreateDictionaryBigrams', async () => {
+		const symSpell = new SymSpell()
+		await symSpell.createDictionary('The steam machine\nA steam machine, the steam engine\n', { bigrams: true })
+
+		expect(Array.from(symSpell.bigrams)).to.equal([
+			['the steam', 2],
+			['steam machine', 2],
+			['a steam', 1],
+			['machine the', 1],
+			['steam engine', 1]
+		])
+
+		expect(symSpell.bigramCountMin).to.equal(1)
+	})
+
+	it('testLookupCompoundCreatedBigrams', () => {
+		const symSpell = new SymSpell()
+		symSpell.createDictionaryEntry('where', 50)
+		symSpell.createDictionaryEntry('whereas', 100)
+		symSpell.createDictionaryEntry('is', 400)
+
+		expect(symSpell.lookupCompound('whereis', 2)[0].term).to.equal('whereas')
+
+		symSpell.createBigramEntry('where', 'is', 1000)
+		expect(symSpell.lookupCompound('whereis', 2)[0].term).to.equal('where is')
+	})
+
+	it('testSaveDictionary', async () => {
+		const dictPath = path.join(os.tmpdir(), 'symspell-test-save-dictionary.txt')
+		const symSpell = new SymSpell(2, 7, 3)
+		await symSpell.createDictionary('the steam machine\nthe steam engine\nthe machine of the engine', { bigrams: true })
+
+		await symSpell.saveDictionary(dictPath)
+		expect(fs.readFileSync(dictPath, 'utf8')).to.equal('the 4\n')
+
+		await symSpell.saveDictionary(dictPath, { includeBelowThreshold: true, sortBy: 'count' })
+		expect(fs.readFileSync(dictPath, 'utf8')).to.equal('the 4\nsteam 2\nmachine 2\nengine 2\nof 1\n')
+
+		await symSpell.saveDictionary(dictPath, { separator: '\t', includeBelowThreshold: true, sortBy: 'term' })
+		expect(fs.readFileSync(dictPath, 'utf8')).to.equal('engine\t2\nmachine\t2\nof\t1\nsteam\t2\nthe\t4\n')
+
+		const loaded = new SymSpell(2, 7, 3)
+		await loaded.loadDictionary(dictPath, 0, 1, '\t')
+		expect(Array.from(loaded.words)).to.equal([['the', 4]])
+		expect(loaded.belowThresholdWords.size).to.equal(4)
+
+		await expect(symSpell.saveDictionary(dictPath, { sortBy: 'frequency' })).to.reject(Error, /Unknown sortBy/)
+		fs.unlinkSync(dictPath)
+	})
+
+	it('testSaveBigramDictionary', async () => {
+		const dictPath = path.join(os.tmpdir(), 'symspell-test-save-bigram-dictionary.txt.gz')
+		const symSpell = new SymSpell()
+		await symSpell.createDictionary('the steam machine\nthe steam engine', { bigrams: true })
+
+		await symSpell.saveBigramDictionary(dictPath, { sortBy: 'count' })
+		expect(zlib.gunzipSync(fs.readFileSync(dictPath)).toString('utf8')).to.equal('the steam 2\nsteam machine 1\nsteam engine 1\n')
+
+		const loaded = new SymSpell()
+		await loaded.loadBigramDictionary(dictPath, 0, 2)
+		expect(Array.from(loaded.bigrams)).to.equal([['the steam', 2], ['steam machine', 1], ['steam engine', 1]])
+		expect(loaded.bigramCountMin).to.equal(1)
+		fs.unlinkSync(dictPath)
+	})
+
+	it('testLayeredLookup', () => {
+		const base = new SymSpell(2, 7)
+		base.createDictionaryEntry('steam', 40)
+		base.createDictionaryEntry('stream', 30)
+		base.createDictionaryEntry('machine', 20)
+
+		const layer = base.createLayer('tenant')
+		layer.createDictionaryEntry('steampunk', 5)
+		layer.createDictionaryEntry('stream', 20)
+
+		// the base is shared, not modified
+		expect(base.words.has('steampunk')).to.equal(false)
+		expect(base.words.get('stream')).to.equal(30)
+		expect(base.lookup('steampunc', SymSpell.Verbosity.TOP, 2).length).to.equal(0)
+
+		let result = layer.lookup('steampunc', SymSpell.Verbosity.TOP, 2)
+		expect(result.length).to.equal(1)
+		expect(result[0].term).to.equal('steampunk')
+		expect(result[0].layer).to.equal('tenant')
+
+		// boosted words come from the layer, others from the base
+		result = layer.lookup('stea', SymSpell.Verbosity.ALL, 2)
+
+		expect(result.map((item) => [item.term, item.count, item.layer])).to.equal([
+			['steam', 40, 'base'],
+			['stream', 50, 'tenant']
+		])
+
+		layer.hideWord('steam')
+		result = layer.lookup('steam', SymSpell.Verbosity.TOP, 2)
+		expect(result.length).to.equal(1)
+		expect(result[0].term).to.equal('stream')
+		expect(base.lookup('steam', SymSpell.Verbosity.TOP, 2)[0].term).to.equal('steam')
+
+		expect(layer.unhideWord('steam')).to.equal(true)
+		expect(layer.lookup('steam', SymSpell.Verbosity.TOP, 2)[0].term).to.equal('steam')
+
+		expect(layer.updateDictionaryEntry('stream', 100)).to.equal(true)
+		expect(layer.wordCount('stream')).to.equal(100)
+		expect(layer.deleteDictionaryEntry('stream')).to.equal(true)
+		expect(layer.wordCount('stream')).to.equal(30)
+		expect(layer.deleteDictionaryEntry('steampunk')).to.equal(true)
+		expect(layer.lookup('steampunc', SymSpell.Verbosity.TOP, 2).length).to.equal(0)
+	})
+
+	it('testLayeredLookupCompoundAndWordSegmentation', () => {
+		const base = new SymSpell(2, 7)
+		base.createDictionaryEntry('the', 100)
+		base.createDictionaryEntry('machine', 20)
+
+		const layer = new SymSpell.LayeredSymSpell(base, 'tenant')
+		layer.createDictionaryEntry('steampunk', 5)
+		layer.createBigramEntry('steampunk', 'machine', 10)
+
+		let result = layer.lookupCompound('the stempunk machin', 2)
+		expect(result[0].term).to.equal('the steampunk machine')
+		expect(result[0].layer).to.equal('tenant')
+
+		result = layer.lookupCompound('the machin', 2)
+		expect(result[0].term).to.equal('the machine')
+		expect(result[0].layer).to.equal('base')
+
+		expect(layer.wordSegmentation('thesteampunkmachine').correctedString).to.equal('the steampunk machine')
+		expect(base.wordSegmentation('thesteampunkmachine').correctedString).to.not.equal('the steampunk machine')
+	})
+
+	it('testStats', () => {
+		const symSpell = new SymSpell(1, 3, 2)
+		symSpell.createDictionaryEntry('pipe', 5)
+		symSpell.createDictionaryEntry('pips', 10)
+		symSpell.createDictionaryEntry('pipes', 1)
+		symSpell.createBigramEntry('pipe', 'pips', 3)
+
+		const stats = symSpell.stats()
+		expect(stats.words).to.equal(2)
+		expect(stats.belowThresholdWords).to.equal(1)
+		// deletes of the prefix 'pip': pip, ip, pp, pi
+		expect(stats.deletes).to.equal(4)
+		expect(stats.averageSuggestionsPerDelete).to.equal(2)
+		expect(stats.maxSuggestionsPerDelete).to.equal(2)
+		expect(stats.bigrams).to.equal(1)
+		expect(stats.bigramCountMin).to.equal(3)
+		expect(stats.maxDictionaryWordLength).to.equal(4)
+		expect(stats.memory.words).to.be.greaterThan(0)
+		expect(stats.memory.deletes).to.be.greaterThan(stats.memory.words)
+		expect(stats.memory.total).to.equal(stats.memory.words + stats.memory.belowThresholdWords + stats.memory.deletes + stats.memory.bigrams + stats.memory.ngrams + stats.memory.phonetic)
+
+		expect(new SymSpell().stats().averageSuggestionsPerDelete).to.equal(0)
+	})
+
+	it('testCompactLookup', async () => {
+		const symSpell = new SymSpell(2, 7)
+		const compact = new SymSpell(2, 7, 1, { compact: true })
+		await symSpell.loadDictionary(dictionaryPath, 0, 1)
+		await compact.loadDictionary(dictionaryPath, 0, 1)
+
+		const testList = []
+		const lines = readline.createInterface({
+			input: fs.createReadStream('./test/data/noisy_query_en_1000.txt', 'utf8'),
+			terminal: false
+		})
+
+		for await (const line of lines) {
+			const lineParts = line.trim().split(' ')
+
+			if (lineParts.length >= 2) {
+				testList.push(lineParts[0])
+			}
+		}
+
+		let resultSum = 0
+
+		for (let i = 0; i < testList.length; i++) {
+			resultSum += compact.lookup(testList[i], SymSpell.Verbosity.CLOSEST, 2).length
+		}
+
+		expect(resultSum).to.equal(4945)
+
+		for (const input of ['whereis', 'acomodation', 'thequick', 'memebers', 'a', 'zzzzzzzzzz']) {
+			expect(compact.lookup(input, SymSpell.Verbosity.ALL, 2)).to.equal(symSpell.lookup(input, SymSpell.Verbosity.ALL, 2))
+		}
+
+		const stats = compact.stats()
+		expect(stats.words).to.equal(symSpell.stats().words)
+		expect(stats.memory.deletes).to.be.lessThan(symSpell.stats().memory.deletes / 2)
+
+		// a layer over a compact base is compact too, and finds its own words
+		const layer = compact.createLayer('acme')
+		const plainLayer = symSpell.createLayer('acme')
+		layer.createDictionaryEntry('acmeware', 100)
+		plainLayer.createDictionaryEntry('acmeware', 100)
+		expect(layer.lookup('acmewear', SymSpell.Verbosity.TOP, 2).map((item) => item.term)).to.equal(['acmeware'])
+
+		for (const input of ['acmewear', 'whereis', 'memebers']) {
+			expect(layer.lookup(input, SymSpell.Verbosity.ALL, 2)).to.equal(plainLayer.lookup(input, SymSpell.Verbosity.ALL, 2))
+		}
+	})
+
+	it('testCompactSaveLoadAndDelete', async () => {
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-compact.idx')
+		const symSpell = new SymSpell(2, 5, 1, { compact: true })
+		symSpell.createDictionaryEntry('steam', 4)
+		symSpell.createDictionaryEntry('steams', 2)
+		symSpell.createDictionaryEntry('machine', 10)
+		symSpell.createDictionaryEntry('machinery', 7)
+		expect(symSpell.deleteDictionaryEntry('steams')).to.equal(true)
+		expect(symSpell.lookup('steams', SymSpell.Verbosity.ALL, 2).map((item) => item.term)).to.equal(['steam'])
+
+		// the id of a removed word is given to the next added word
+		symSpell.createDictionaryEntry('steamy', 3)
+		expect(symSpell.wordList.length).to.equal(4)
+		expect(symSpell.lookup('steamyy', SymSpell.Verbosity.CLOSEST, 2).map((item) => item.term)).to.equal(['steamy'])
+		expect(symSpell.deleteDictionaryEntry('steamy')).to.equal(true)
+		expect(symSpell.lookup('steams', SymSpell.Verbosity.ALL, 2).map((item) => item.term)).to.equal(['steam'])
+
+		await symSpell.save(indexPath)
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(loaded.compact).to.equal(true)
+		expect(Array.from(loaded.words)).to.equal(Array.from(symSpell.words))
+		expect(loaded.deletes.size).to.equal(symSpell.deletes.size)
+
+		const result = loaded.lookup('machinry', SymSpell.Verbosity.ALL, 2)
+		expect(result.map((item) => item.term)).to.equal(['machinery', 'machine'])
+
+		expect(loaded.createDictionaryEntry('steamer', 3)).to.equal(true)
+		expect(loaded.lookup('steamerr', SymSpell.Verbosity.CLOSEST, 2)[0].term).to.equal('steamer')
+		expect(loaded.deleteDictionaryEntry('machine')).to.equal(true)
+		expect(loaded.lookup('machinry', SymSpell.Verbosity.ALL, 2).map((item) => item.term)).to.equal(['machinery'])
+	})
+
+	it('testReconfigure', () => {
+		for (const compact of [false, true]) {
+			const symSpell = new SymSpell(1, 3, 5, { compact })
+			symSpell.createDictionaryEntry('machine', 10)
+			symSpell.createDictionaryEntry('machinery', 7)
+			symSpell.createDictionaryEntry('steam', 4)
+
+			expect(symSpell.lookup('mchinry', SymSpell.Verbosity.ALL).length).to.equal(0)
+			expect(symSpell.lookup('steam', SymSpell.Verbosity.ALL).length).to.equal(0)
+
+			symSpell.reconfigure({ maxDictionaryEditDistance: 2, prefixLength: 7, countThreshold: 4 })
+			expect(symSpell.maxDictionaryEditDistance).to.equal(2)
+			expect(symSpell.prefixLength).to.equal(7)
+			expect(symSpell.countThreshold).to.equal(4)
+			expect(symSpell.belowThresholdWords.size).to.equal(0)
+			expect(symSpell.lookup('mchinry', SymSpell.Verbosity.ALL).map((item) => item.term)).to.equal(['machinery'])
+			expect(symSpell.lookup('steam', SymSpell.Verbosity.ALL).map((item) => item.term)).to.equal(['steam'])
+
+			symSpell.reconfigure({ countThreshold: 8 })
+			expect(symSpell.maxDictionaryEditDistance).to.equal(2)
+			expect(Array.from(symSpell.words)).to.equal([['machine', 10]])
+			expect(Array.from(symSpell.belowThresholdWords)).to.equal([['machinery', 7], ['steam', 4]])
+			expect(symSpell.maxDictionaryWordLength).to.equal(7)
+			expect(symSpell.lookup('machinry', SymSpell.Verbosity.ALL).map((item) => item.term)).to.equal(['machine'])
+
+			// the deletes match a new instance created with the same parameters
+			const expected = new SymSpell(2, 7, 8, { compact })
+			expected.createDictionaryEntry('machine', 10)
+			expect(Array.from(symSpell.deletes)).to.equal(Array.from(expected.deletes))
+		}
+	})
+
+	it('testReconfigureLayer', () => {
+		const base = new SymSpell(1, 7)
+		base.createDictionaryEntry('machine', 10)
+		const layer = base.createLayer('tech')
+		layer.createDictionaryEntry('machinist', 5)
+
+		base.reconfigure({ maxDictionaryEditDistance: 2 })
+		layer.reconfigure()
+		expect(layer.maxDictionaryEditDistance).to.equal(2)
+		expect(layer.lookup('mchinst', SymSpell.Verbosity.ALL).map((item) => item.term)).to.equal(['machinist'])
+		expect(layer.lookup('mchne', SymSpell.Verbosity.ALL).map((item) => item.term)).to.equal(['machine'])
+	})
+
+	it('testLoadNgramDictionary', async () => {
+		const symSpell = new SymSpell()
+
+		// n-gram scoring isn't enabled by a missing or empty file
+		expect(await symSpell.loadNgramDictionary('./test/data/missing_trigrams.txt', 0, 3)).to.equal(false)
+		await symSpell.loadNgramDictionary([], 0, 3)
+		expect(symSpell.maxNgramOrder()).to.equal(0)
+
+		const report = await symSpell.loadNgramDictionary('new york times 150\nright now here 50\nnew york 3\n', 0, 3)
+		expect(report.entriesAdded).to.equal(2)
+		expect(report.rejected).to.equal([{ line: 3, reason: 'expected a 3-gram and a count', content: 'new york 3' }])
+		expect(Array.from(symSpell.ngrams)).to.equal([['new york times', 150], ['right now here', 50]])
+		expect(symSpell.ngramOrder).to.equal(3)
+
+		await symSpell.loadNgramDictionary('new york times square\t20\n', 0, 1, '\t', { order: 4 })
+		expect(symSpell.ngramCount('new york times square')).to.equal(20)
+		expect(symSpell.ngramOrder).to.equal(4)
+
+		await symSpell.loadNgramDictionary([['new york', 200]], 0, 2, ' ', { order: 2 })
+		expect(symSpell.bigramCount('new york')).to.equal(200)
+		expect(symSpell.ngrams.size).to.equal(3)
+
+		await expect(symSpell.loadNgramDictionary([], 0, 1, ' ', { order: 1 })).to.reject(Error, /Invalid n-gram order/)
+	})
+
+	it('testNgramScore', async () => {
+		const symSpell = new SymSpell()
+		await symSpell.loadDictionary([['new', 700], ['york', 300], ['times', 400]], 0, 1)
+		await symSpell.loadBigramDictionary([['new york', 200]], 0, 2)
+		await symSpell.loadNgramDictionary([['new york times', 150]], 0, 3)
+
+		const pNew = 700 / SymSpell.N
+		expect(symSpell.ngramScore(['new', 'york', 'times'])).to.about(Math.log10(pNew * 200 / 700 * 150 / 200), 1e-9)
+		// backs off to the bigram "york new" (unknown) then to the unigram "new"
+		expect(symSpell.ngramScore(['york', 'new'])).to.about(Math.log10(300 / SymSpell.N * 0.4 * pNew), 1e-9)
+		expect(symSpell.ngramScore(['newyork'])).to.about(Math.log10(10 / (SymSpell.N * Math.pow(10, 7))), 1e-9)
+		expect(symSpell.ngramScore([])).to.equal(0)
+	})
+
+	it('testLookupCompoundNgrams', async () => {
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-ngrams.idx')
+		const symSpell = new SymSpell(2, 7)
+		await symSpell.loadDictionary([['came', 700], ['in', 5000], ['sights', 200], ['insight', 900], ['just', 800], ['now', 600], ['here', 500], ['no', 1000], ['where', 900]], 0, 1)
+		await symSpell.loadBigramDictionary([['came in', 100], ['in sights', 50], ['just now', 100]], 0, 2)
+
+		// without n-grams the merge and the split with the largest counts win
+		expect(symSpell.lookupCompound('came in sight')[0].term).to.equal('came insight')
+		expect(symSpell.lookupCompound('just nowhere')[0].term).to.equal('just no where')
+
+		await symSpell.loadNgramDictionary([['came in sights', 40], ['just now here', 50]], 0, 3)
+
+		const merged = symSpell.lookupCompound('came in sight')
+		expect(merged[0].term).to.equal('came in sights')
+		expect(merged[0].distance).to.equal(1)
+		expect(merged[0].count).to.be.within(39, 40)
+		expect(symSpell.lookupCompound('just nowhere')[0].term).to.equal('just now here')
+		// the context decides, not the n-gram alone
+		expect(symSpell.lookupCompound('in sight')[0].term).to.equal('insight')
+
+		await symSpell.save(indexPath)
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(loaded.ngramOrder).to.equal(3)
+		expect(Array.from(loaded.ngrams)).to.equal(Array.from(symSpell.ngrams))
+		expect(loaded.lookupCompound('just nowhere')[0].term).to.equal('just now here')
+	})
+
+	it('testCorpusSize', async () => {
+		const entries = [['now', 1000], ['here', 900], ['no', 600], ['where', 500]]
+		const symSpell = new SymSpell(2, 7, 1000, { corpusSize: 'auto' })
+		await symSpell.loadDictionary(entries, 0, 1)
+
+		// below threshold words are part of the corpus
+		expect(symSpell.N).to.equal(3000)
+		symSpell.createDictionaryEntry('nowhere', 100)
+		expect(symSpell.N).to.equal(3100)
+		symSpell.deleteDictionaryEntry('nowhere')
+		symSpell.updateDictionaryEntry('no', 400)
+		expect(symSpell.N).to.equal(2800)
+
+		expect(new SymSpell(2, 7, 1, { corpusSize: 'auto' }).N).to.equal(1)
+		expect(new SymSpell(2, 7, 1, { corpusSize: 5000 }).N).to.equal(5000)
+		expect(new SymSpell().N).to.equal(SymSpell.N)
+		expect(() => new SymSpell(2, 7, 1, { corpusSize: 0 })).to.throw(Error, /Invalid corpusSize/)
+
+		// the split with the largest estimated count wins once probabilities use the size of the small corpus
+		const defaultSize = new SymSpell(2, 7)
+		const autoSize = new SymSpell(2, 7, 1, { corpusSize: 'auto' })
+		await defaultSize.loadDictionary(entries, 0, 1)
+		await autoSize.loadDictionary(entries, 0, 1)
+		expect(defaultSize.lookupCompound('nowhere')[0].count).to.equal(0)
+		const result = autoSize.lookupCompound('nowhere')[0]
+		expect(result.term).to.equal('now here')
+		expect(result.count).to.equal(300)
+
+		const layer = autoSize.createLayer()
+		layer.createDictionaryEntry('where', 100)
+		// layers use the corpus size of their base
+		expect(layer.N).to.equal(3000)
+
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-corpus-size.idx')
+		await autoSize.save(indexPath)
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(loaded.corpusSize).to.equal('auto')
+		expect(loaded.N).to.equal(3000)
+	})
+
+	it('testSmoothing', async () => {
+		const symSpell = new SymSpell(2, 7, 1, { corpusSize: 1000 })
+		await symSpell.loadDictionary([['the', 600], ['cat', 300], ['sat', 99], ['mat', 1]], 0, 1)
+
+		expect(symSpell.unknownProbability('xyz')).to.equal(10 / (1000 * Math.pow(10, 3)))
+
+		symSpell.smoothing = SymSpell.Smoothing.addK(2)
+		expect(symSpell.unknownProbability('xyz')).to.equal(0.01 * 2 / (1000 + 2 * 5))
+
+		symSpell.smoothing = SymSpell.Smoothing.goodTuring()
+		expect(symSpell.unknownProbability('xyz')).to.equal(0.01 / 1000)
+		symSpell.createDictionaryEntry('hat', 1)
+		symSpell.createDictionaryEntry('bat', 1)
+		expect(symSpell.unknownProbability('xyz')).to.equal(0.01 * 3 / 1000)
+
+		// a custom strategy is used for the unknown words of word segmentation
+		const terms = []
+
+		symSpell.smoothing = (term, instance) => {
+			terms.push(term)
+
+			return Math.pow(10, -term.length) / instance.N
+		}
+
+		expect(symSpell.wordSegmentation('thecatqqq').correctedString).to.equal('the cat qqq')
+		expect(terms).to.include('qqq')
+	})
+
+	it('testPhraseEntries', async () => {
+		const symSpell = new SymSpell(2, 7)
+		const report = await symSpell.loadDictionary('the 5000\nnew 1000\nyork 300\nnew york 200\ntimes 500\nnew york times 90\nad 800\nad hoc 40\n', 0, 1, ' ', { phrases: true })
+		expect(report.entriesAdded).to.equal(8)
+		expect(symSpell.wordCount('new york')).to.equal(200)
+		expect(Array.from(symSpell.phrases)).to.equal([['newyork', 'new york'], ['newyorktimes', 'new york times'], ['adhoc', 'ad hoc']])
+		expect(symSpell.maxPhraseWords).to.equal(3)
+
+		// the count can come first
+		await symSpell.loadDictionary('7 state of the art\n', 1, 0, ' ', { phrases: true })
+		expect(symSpell.phraseOf('stateoftheart')).to.equal('state of the art')
+		expect(symSpell.maxPhraseWords).to.equal(4)
+		expect(symSpell.deleteDictionaryEntry('state of the art')).to.equal(true)
+		expect(symSpell.maxPhraseWords).to.equal(3)
+
+		const result = symSpell.lookupCompound('nwe yrok')[0]
+		expect(result.term).to.equal('new york')
+		expect(result.distance).to.equal(2)
+		expect(result.count).to.equal(200)
+		expect(symSpell.lookupCompound('the nwe yrok tmes')[0].term).to.equal('the new york times')
+		expect(symSpell.lookupCompound('ad hco')[0].term).to.equal('ad hoc')
+		expect(symSpell.lookup('newyork', SymSpell.Verbosity.TOP)[0].term).to.equal('new york')
+
+		// with ignoreNonWords, numbers and acronyms are not corrected as part of a phrase
+		await symSpell.loadDictionary('catch 300\ncatch 22 60\nad abs 30\n', 0, 1, ' ', { phrases: true })
+		expect(symSpell.lookupCompound('catch 23')[0].term).to.equal('catch 22')
+		expect(symSpell.lookupCompound('catch 23', 2, { ignoreNonWords: true })[0].term).to.equal('catch 23')
+		expect(symSpell.lookupCompound('ad ABC', 2, { ignoreNonWords: true })[0].term).to.equal('ad ABC')
+		expect(symSpell.lookupCompound('nwe yrok 23', 2, { ignoreNonWords: true })[0].term).to.equal('new york 23')
+
+		const segmentation = symSpell.wordSegmentation('thenewyorktimes')
+		expect(segmentation.segmentedString).to.equal('the newyorktimes')
+		expect(segmentation.correctedString).to.equal('the new york times')
+		expect(segmentation.probabilityLogSum).to.equal(Math.log10(5000 / SymSpell.N) + Math.log10(90 / SymSpell.N))
+
+		const layer = symSpell.createLayer()
+		layer.hideWord('new york times')
+		expect(layer.phraseOf('newyorktimes')).to.equal(undefined)
+		expect(layer.wordSegmentation('thenewyorktimes').correctedString).to.equal('the new york times')
+
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-phrases.idx')
+		await symSpell.save(indexPath)
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(Array.from(loaded.phrases)).to.equal(Array.from(symSpell.phrases))
+		expect(loaded.maxPhraseWords).to.equal(3)
+	})
+
+	it('testWeightedEditDistance', () => {
+		const qwerty = new SymSpell.WeightedEditDistance()
+		expect(qwerty.distance('rhe', 'the')).to.equal(0.5)
+		expect(qwerty.distance('she', 'the')).to.equal(1)
+		expect(qwerty.distance('teh', 'the')).to.equal(1)
+		expect(qwerty.distance('th', 'the')).to.equal(1)
+		expect(qwerty.distance('', 'the')).to.equal(3)
+		expect(qwerty.distance('rhe', 'the', 0.4)).to.equal(-1)
+		expect(qwerty.compare('Rhe', 'the', 2)).to.equal(0.5)
+
+		const azerty = new SymSpell.WeightedEditDistance({ layout: SymSpell.KeyboardLayouts.AZERTY, adjacentKeyCost: 0.25 })
+		expect(azerty.distance('zon', 'son')).to.equal(0.25)
+		expect(azerty.distance('aon', 'son')).to.equal(1)
+
+		// bottom row keys touch the two keys above them
+		const neighbours = (layout, key) => Array.from(SymSpell.KeyboardLayouts.adjacentKeys(layout).get(key)).sort()
+		expect(neighbours(SymSpell.KeyboardLayouts.QWERTY, 'z')).to.equal(['a', 's', 'x'])
+		expect(neighbours(SymSpell.KeyboardLayouts.QWERTY, 'x')).to.equal(['c', 'd', 's', 'z'])
+		expect(neighbours(SymSpell.KeyboardLayouts.AZERTY, 'w')).to.equal(['q', 's', 'x'])
+		expect(neighbours(SymSpell.KeyboardLayouts.AZERTY, 'x')).to.equal(['c', 'd', 's', 'w'])
+		expect(neighbours(SymSpell.KeyboardLayouts.QWERTZ, 'y')).to.equal(['a', 's', 'x'])
+		expect(neighbours(SymSpell.KeyboardLayouts.QWERTZ, 'x')).to.equal(['c', 'd', 's', 'y'])
+		expect(azerty.distance('w', 'q')).to.equal(0.25)
+		expect(azerty.distance('w', 'd')).to.equal(1)
+		expect(azerty.distance('x', 'f')).to.equal(1)
+
+		const qwertz = new SymSpell.WeightedEditDistance({ layout: SymSpell.KeyboardLayouts.QWERTZ, adjacentKeyCost: 0.25 })
+		expect(qwertz.distance('y', 'a')).to.equal(0.25)
+		expect(qwertz.distance('y', 'd')).to.equal(1)
+		expect(qwertz.distance('x', 'f')).to.equal(1)
+
+		const custom = new SymSpell.WeightedEditDistance({
+			layout: null,
+			substitutionCosts: new Map([['ae', 0.2]]),
+			insertionCost: 2,
+			deletionCost: 3,
+			transpositionCost: 0.5
+		})
+		expect(custom.distance('tea', 'tee')).to.equal(0.2)
+		expect(custom.distance('tee', 'tea')).to.equal(0.2)
+		expect(custom.distance('rhe', 'the')).to.equal(1)
+		expect(custom.distance('th', 'the')).to.equal(2)
+		expect(custom.distance('thee', 'the')).to.equal(3)
+		expect(custom.distance('teh', 'the')).to.equal(0.5)
+	})
+
+	it('testLookupWeightedDistance', () => {
+		const symSpell = new SymSpell(2, 7)
+		symSpell.createDictionaryEntry('she', 500)
+		symSpell.createDictionaryEntry('the', 100)
+		symSpell.createDictionaryEntry('tee', 50)
+		const weightedDistance = new SymSpell.WeightedEditDistance()
+
+		expect(symSpell.lookup('rhe', SymSpell.Verbosity.TOP)[0].term).to.equal('she')
+
+		const top = symSpell.lookup('rhe', SymSpell.Verbosity.TOP, 2, { weightedDistance })
+		expect(top.length).to.equal(1)
+		expect(top[0].term).to.equal('the')
+		expect(top[0].distance).to.equal(1)
+		expect(top[0].weightedDistance).to.equal(0.5)
+
+		const all = symSpell.lookup('rhe', SymSpell.Verbosity.ALL, 2, { weightedDistance })
+		expect(all.map((item) => [item.term, item.weightedDistance])).to.equal([['the', 0.5], ['she', 1], ['tee', 1.5]])
+
+		// maxEditDistance still bounds the suggestions
+		expect(symSpell.lookup('rhe', SymSpell.Verbosity.CLOSEST, 1, { weightedDistance }).map((item) => item.term)).to.equal(['the'])
+		expect(symSpell.lookup('rhe', SymSpell.Verbosity.ALL, 1, { weightedDistance }).length).to.equal(2)
+
+		const unknown = symSpell.lookup('xyz', SymSpell.Verbosity.TOP, 1, { weightedDistance, includeUnknown: true })
+		expect(unknown[0].weightedDistance).to.equal(2)
+
+		const cased = symSpell.lookup('Rhe', SymSpell.Verbosity.TOP, 2, { weightedDistance, transferCasing: true })
+		expect(cased[0].term).to.equal('The')
+		expect(cased[0].weightedDistance).to.equal(0.5)
+	})
+
+	it('testEditDistanceAlgorithms', () => {
+		const levenshtein = new EditDistance(EditDistance.Algorithm.LEVENSHTEIN)
+		const osa = new EditDistance(EditDistance.Algorithm.DAMERAU_OSA)
+		const damerau = new EditDistance(EditDistance.Algorithm.DAMERAU)
+		const cases = [
+			['CA', 'ABC', 3, 3, 2],
+			['ab', 'ba', 2, 1, 1],
+			['a cat', 'an act', 3, 2, 2],
+			['kitten', 'sitting', 3, 3, 3],
+			['', 'abc', 3, 3, 3],
+			['abc', 'abc', 0, 0, 0]
+		]
+
+		for (const [string1, string2, levenshteinDistance, osaDistance, damerauDistance] of cases) {
+			expect(levenshtein.compare(string1, string2, 10)).to.equal(levenshteinDistance)
+			expect(osa.compare(string1, string2, 10)).to.equal(osaDistance)
+			expect(damerau.compare(string1, string2, 10)).to.equal(damerauDistance)
+			expect(damerau.compare(string2, string1, 10)).to.equal(damerauDistance)
+		}
+
+		expect(levenshtein.compare('kitten', 'sitting', 2)).to.equal(-1)
+		expect(damerau.compare('CA', 'ABC', 1)).to.equal(-1)
+		expect(damerau.compare(null, 'ab', 2)).to.equal(2)
+		expect(new EditDistance().compare('ab', 'ba', 1)).to.equal(1)
+		expect(() => new EditDistance(5)).to.throw(Error, /Unknown distance algorithm/)
+	})
+
+	it('testLookupDistanceAlgorithm', async () => {
+		const create = (distanceAlgorithm) => {
+			const symSpell = new SymSpell(2, 7, 1, { distanceAlgorithm })
+			symSpell.createDictionaryEntry('abc', 10)
+			symSpell.createDictionaryEntry('the', 20)
+
+			return symSpell
+		}
+
+		const terms = (symSpell, input) => symSpell.lookup(input, SymSpell.Verbosity.ALL).map((item) => [item.term, item.distance])
+
+		expect(terms(create(), 'ca')).to.equal([])
+		expect(terms(create(EditDistance.Algorithm.DAMERAU), 'ca')).to.equal([['abc', 2]])
+		expect(terms(create(), 'teh')).to.equal([['the', 1]])
+		expect(terms(create(EditDistance.Algorithm.LEVENSHTEIN), 'teh')).to.equal([['the', 2]])
+		expect(create(EditDistance.Algorithm.LEVENSHTEIN).lookupCompound('teh')[0].distance).to.equal(2)
+
+		const compared = []
+		const custom = create({
+			compare: (string1, string2, maxDistance) => {
+				compared.push([string1, string2])
+
+				return (string1[0] === string2[0]) ? 1 : -1
+			}
+		})
+
+		expect(terms(custom, 'tea')).to.equal([['the', 1]])
+		expect(compared).to.include([['tea', 'the']])
+		expect(() => new SymSpell(2, 7, 1, { distanceAlgorithm: {} })).to.throw(Error, /Invalid distanceAlgorithm/)
+
+		const layer = create(EditDistance.Algorithm.DAMERAU).createLayer()
+		expect(layer.lookup('ca', SymSpell.Verbosity.TOP)[0].term).to.equal('abc')
+
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-distance-algorithm.idx')
+		await create(EditDistance.Algorithm.DAMERAU).save(indexPath)
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(loaded.distanceAlgorithm).to.equal(EditDistance.Algorithm.DAMERAU)
+		expect(terms(loaded, 'ca')).to.equal([['abc', 2]])
+	})
+
+	it('testPhoneticFallback', async () => {
+		const entries = [['phonetic', 100], ['knowledge', 300], ['psychology', 50], ['fanatic', 20], ['the', 1000]]
+		const symSpell = new SymSpell(2, 7, 1, { phonetic: true })
+		await symSpell.loadDictionary(entries, 0, 1)
+
+		const suggestions = symSpell.lookup('fonetik', SymSpell.Verbosity.ALL)
+		expect(suggestions.map((item) => [item.term, item.distance, item.phonetic])).to.equal([['phonetic', 3, true], ['fanatic', 3, true]])
+		expect(symSpell.lookup('fonetik', SymSpell.Verbosity.TOP).map((item) => item.term)).to.equal(['phonetic'])
+		expect(symSpell.lookup('nollij', SymSpell.Verbosity.TOP)[0].term).to.equal('knowledge')
+		expect(symSpell.lookup('sykolojy', SymSpell.Verbosity.CLOSEST)[0].term).to.equal('psychology')
+		expect(symSpell.lookup('fonetik', SymSpell.Verbosity.TOP, 2, { phonetic: false })).to.equal([])
+		expect(symSpell.lookup('xqzt', SymSpell.Verbosity.TOP, 2, { includeUnknown: true })[0].term).to.equal('xqzt')
+
+		// only a fallback: words within maxEditDistance are not flagged
+		expect(symSpell.lookup('phonetik', SymSpell.Verbosity.TOP)[0].phonetic).to.not.exist()
+
+		// internal lookups of lookupCompound and wordSegmentation don't use it
+		expect(symSpell.lookupCompound('the fonetik')[0].term).to.equal('the fonetik')
+
+		const plain = new SymSpell(2, 7)
+		await plain.loadDictionary(entries, 0, 1)
+		expect(plain.lookup('fonetik', SymSpell.Verbosity.TOP)).to.equal([])
+
+		const layer = symSpell.createLayer()
+		layer.hideWord('phonetic')
+		expect(layer.lookup('fonetik', SymSpell.Verbosity.TOP)[0].term).to.equal('fanatic')
+
+		symSpell.deleteDictionaryEntry('fanatic')
+		expect(symSpell.lookup('fonetik', SymSpell.Verbosity.ALL).length).to.equal(1)
+
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-phonetic.idx')
+		await symSpell.save(indexPath)
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+
+		expect(loaded.phonetic).to.equal(true)
+		expect(Array.from(loaded.phoneticIndex)).to.equal(Array.from(symSpell.phoneticIndex))
+
+		// a custom phonetic algorithm
+		const firstLetter = new SymSpell(1, 7, 1, { phonetic: (term) => term[0] })
+		await firstLetter.loadDictionary(entries, 0, 1)
+		expect(firstLetter.lookup('kxyzw', SymSpell.Verbosity.TOP)[0].term).to.equal('knowledge')
+	})
+
+	it('testLookupExplain', async () => {
+		const symSpell = new SymSpell(2, 7)
+		await symSpell.loadDictionary([['bank', 100], ['banks', 50], ['blank', 30], ['back', 200], ['xban', 3]], 0, 1)
+
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.TOP).explanation).to.not.exist()
+
+		const top = symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { explain: true })
+		expect(top.map((item) => item.term)).to.equal(['bank'])
+		expect(top.explanation.candidates[0]).to.equal('bnak')
+		expect(top.explanation.candidates).to.include(['bak', 'bnk'])
+		expect(top.explanation.deleteHits.map((hit) => hit.candidate)).to.equal(['bak', 'bnk'])
+		expect(top.explanation.deleteHits[0].suggestions).to.include(['bank', 'back'])
+		expect(top.explanation.rejected).to.include({ term: 'back', candidate: 'bak', reason: 'verbosity', distance: 2 })
+		expect(top.explanation.results).to.equal([{ term: 'bank', distance: 1, count: 100 }])
+
+		const all = symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { explain: true })
+		expect(all.explanation.results.map((result) => result.term)).to.equal(['bank', 'back', 'banks', 'blank'])
+		expect(all.explanation.rejected).to.equal([{ term: 'xban', candidate: 'ba', reason: 'distance', distance: null }])
+
+		const exact = symSpell.lookup('bank', SymSpell.Verbosity.TOP, 2, { explain: true })
+		expect(exact.explanation).to.equal({ candidates: [], deleteHits: [], rejected: [], results: [{ term: 'bank', distance: 0, count: 100 }] })
+
+		const weighted = symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { weightedDistance: new SymSpell.WeightedEditDistance(), explain: true })
+		expect(weighted.explanation.results.length).to.equal(1)
+		expect(weighted.explanation.rejected.filter((rejected) => rejected.reason === 'verbosity').length).to.equal(3)
+	})
+
+	it('testResultCache', async () => {
+		const symSpell = new SymSpell(2, 7, 1, { cacheSize: 3 })
+		await symSpell.loadDictionary([['bank', 100], ['back', 200], ['the', 1000], ['cat', 50]], 0, 1)
+
+		expect(new SymSpell().cacheStats()).to.equal(null)
+
+		const first = symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST)
+		first[0].term = 'changed'
+		const second = symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST)
+		expect(second.map((item) => item.term)).to.equal(['bank'])
+		expect(second[0]).to.be.an.instanceof(first[0].constructor)
+		expect(symSpell.cacheStats()).to.equal({ hits: 1, misses: 1, size: 1, capacity: 3 })
+
+		// verbosity, distance and options are part of the key
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.ALL).length).to.equal(2)
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST, 1)[0].term).to.equal('bank')
+		expect(symSpell.lookup('BNAK', SymSpell.Verbosity.CLOSEST, 2, { transferCasing: true })[0].term).to.equal('BANK')
+		expect(symSpell.cacheStats()).to.include({ hits: 1, misses: 4, size: 3 })
+
+		// the least recently used result was evicted
+		symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST)
+		expect(symSpell.cacheStats()).to.include({ hits: 1, misses: 5, size: 3 })
+
+		// explanations are never cached
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST, 2, { explain: true }).explanation).to.exist()
+
+		// lookupCompound and wordSegmentation reuse the lookups of their words, and are cached themselves
+		const compound = symSpell.lookupCompound('teh cta')
+		const compoundStats = symSpell.cacheStats()
+		expect(symSpell.lookupCompound('teh cta')).to.equal(compound)
+		expect(symSpell.cacheStats().hits).to.equal(compoundStats.hits + 1)
+
+		const segmentation = symSpell.wordSegmentation('thecat')
+		expect(segmentation.correctedString).to.equal('the cat')
+		expect(symSpell.wordSegmentation('thecat')).to.equal(segmentation)
+
+		// changes of the dictionary drop the cached results
+		symSpell.createDictionaryEntry('bnak', 5)
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST)[0].term).to.equal('bnak')
+		expect(symSpell.cacheStats().size).to.equal(1)
+
+		symSpell.deleteDictionaryEntry('bnak')
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST)[0].term).to.equal('bank')
+
+		symSpell.createBigramEntry('the', 'cat', 10)
+		expect(symSpell.cacheStats().size).to.equal(1)
+		symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST)
+		expect(symSpell.cacheStats().size).to.equal(1)
+
+		// and so do changes of the corpus size and smoothing
+		const unknown = symSpell.wordSegmentation('thecatxqz').probabilityLogSum
+		symSpell.smoothing = SymSpell.Smoothing.addK(1000)
+		const smoothed = symSpell.wordSegmentation('thecatxqz').probabilityLogSum
+		expect(smoothed).to.not.equal(unknown)
+		symSpell.corpusSize = 10000
+		expect(symSpell.wordSegmentation('thecatxqz').probabilityLogSum).to.not.equal(smoothed)
+
+		// layers have their own cache, which is dropped when the layer or its base changes
+		const layer = symSpell.createLayer('acme')
+		expect(layer.cacheStats().capacity).to.equal(3)
+		expect(layer.lookup('bnak', SymSpell.Verbosity.TOP)[0].layer).to.equal('base')
+		layer.hideWord('bank')
+		expect(layer.lookup('bnak', SymSpell.Verbosity.TOP)[0].term).to.equal('back')
+		symSpell.createDictionaryEntry('bnk', 5)
+		expect(layer.lookup('bnak', SymSpell.Verbosity.TOP)[0].term).to.equal('bnk')
+	})
+
+	it('testSymSpellPool', async () => {
+		const symSpell = new SymSpell(2, 7)
+		await symSpell.loadDictionary([['bank', 100], ['back', 200], ['the', 1000], ['cat', 50], ['sat', 40]], 0, 1)
+		await symSpell.loadBigramDictionary([['the', 'cat', 20]], 0, 2)
+
+		await expect(SymSpell.SymSpellPool.share(symSpell.createLayer())).to.reject(Error, 'A LayeredSymSpell can\'t be shared with a pool')
+		await expect(SymSpell.SymSpellPool.share(new SymSpell(2, 7, 1, { smoothing: SymSpell.Smoothing.addK(1) }))).to.reject(Error, /custom smoothing/)
+		await expect(SymSpell.SymSpellPool.share(new SymSpell(2, 7, 1, { distanceAlgorithm: new SymSpell.WeightedEditDistance() }))).to.reject(Error, /custom distance comparer/)
+		await expect(SymSpell.SymSpellPool.share(new SymSpell(2, 7, 1, { phonetic: (term) => term[0] }))).to.reject(Error, /custom phonetic algorithm/)
+		await expect(SymSpell.SymSpellPool.load(path.join(os.tmpdir(), 'symspell-test-missing.idx'), { size: 1 })).to.reject(SymSpell.DictionaryLoadError, /file not found/)
+
+		const pool = await SymSpell.SymSpellPool.share(symSpell, { size: 2 })
+
+		try {
+			const suggestions = await pool.lookup('bnak', SymSpell.Verbosity.ALL)
+			expect(suggestions).to.equal(symSpell.lookup('bnak', SymSpell.Verbosity.ALL))
+			expect(suggestions[0]).to.be.an.instanceof(SymSpell.SuggestItem)
+
+			const explained = await pool.lookup('bnak', SymSpell.Verbosity.TOP, 2, { explain: true })
+			expect(explained.explanation).to.equal(symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { explain: true }).explanation)
+
+			expect(await pool.lookupCompound('teh cta sat')).to.equal(symSpell.lookupCompound('teh cta sat'))
+			expect(await pool.wordSegmentation('thecat')).to.equal(symSpell.wordSegmentation('thecat'))
+
+			const texts = ['teh cta', 'bnak', 'the sat', 'bak', 'thecat']
+			const corrected = await pool.correctBatch(texts)
+			expect(corrected).to.equal(texts.map((text) => symSpell.lookupCompound(text)))
+			expect(await pool.correctBatch([])).to.equal([])
+
+			await expect(pool.wordSegmentation(null)).to.reject(TypeError)
+		}
+		finally {
+			await pool.close()
+		}
+
+		await expect(pool.lookup('bnak', SymSpell.Verbosity.TOP)).to.reject(Error, 'SymSpellPool is closed')
+	})
+
+	it('testLookupLimitAndScore', async () => {
+		const symSpell = new SymSpell(2, 7)
+		await symSpell.loadDictionary([['bank', 100], ['banks', 50], ['blank', 30], ['back', 200], ['bnk', 1], ['bake', 80], ['bunk', 20]], 0, 1)
+
+		const all = symSpell.lookup('bnak', SymSpell.Verbosity.ALL)
+
+		for (const limit of [1, 2, 3, 10]) {
+			expect(symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { limit })).to.equal(all.slice(0, limit))
+		}
+
+		expect(symSpell.lookup('bank', SymSpell.Verbosity.ALL, 2, { limit: 2 }).map((item) => item.term)).to.equal(['bank', 'back'])
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST, 2, { limit: 1 }).length).to.equal(1)
+		expect(() => symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { limit: 0 })).to.throw('Invalid limit 0, expected a whole number of at least 1 suggestion')
+		expect(() => symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { limit: 2.5 })).to.throw('Invalid limit 2.5, expected a whole number of at least 1 suggestion')
+		expect(() => symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { limit: '2' })).to.throw(/Invalid limit 2/)
+
+		const explained = symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { limit: 2, explain: true })
+		expect(explained.explanation.results.map((result) => result.term)).to.equal(['bank', 'bnk'])
+		expect(explained.explanation.rejected.filter((rejected) => rejected.reason === 'verbosity').length).to.be.above(0)
+
+		// a frequent word at distance 2 beats a rare word at distance 1
+		const score = (suggestion) => Math.log10(suggestion.count) - suggestion.distance
+		const scored = symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { score })
+		expect(scored[0].term).to.equal('bank')
+		expect(scored[1].term).to.equal('back')
+		expect(scored.map((item) => item.score)).to.equal(scored.map((item) => score(item)))
+		expect(scored.indexOf(scored.find((item) => item.term === 'bnk'))).to.be.above(1)
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { score: (suggestion) => suggestion.count })[0].term).to.equal('back')
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { score: (suggestion, input) => -Math.abs(suggestion.term.length - input.length - 1) })[0].term).to.equal('banks')
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.CLOSEST, 2, { score: (suggestion) => -suggestion.distance }).map((item) => item.term)).to.equal(['bank', 'bnk'])
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { score, limit: 2 }).map((item) => item.term)).to.equal(['bank', 'back'])
+
+		const weighted = symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { weightedDistance: new SymSpell.WeightedEditDistance(), limit: 2 })
+		expect(weighted.length).to.equal(2)
+		expect(weighted[0].weightedDistance).to.be.at.most(weighted[1].weightedDistance)
+	})
+
+	it('testComplete', async () => {
+		const symSpell = new SymSpell(2, 7)
+		await symSpell.loadDictionary([['receive', 300], ['received', 500], ['receiver', 40], ['recipe', 200], ['review', 100], ['the', 1000], ['then', 400], ['there', 600]], 0, 1)
+
+		const terms = (completions) => completions.map((item) => item.term + ':' + item.distance + ':' + item.count)
+
+		expect(terms(symSpell.complete('the', { limit: 3 }))).to.equal(['the:0:1000', 'there:0:600', 'then:0:400'])
+		expect(terms(symSpell.complete('rec', { limit: 2 }))).to.equal(['received:0:500', 'receive:0:300'])
+		expect(terms(symSpell.complete('recieve'))).to.equal(['received:1:500', 'receive:1:300', 'receiver:1:40', 'recipe:2:200'])
+		expect(terms(symSpell.complete('recieve', { maxEditDistance: 0 }))).to.equal([])
+		expect(terms(symSpell.complete('recp', { maxEditDistance: 1 }))).to.equal(['received:1:500', 'receive:1:300', 'recipe:1:200', 'receiver:1:40'])
+		expect(symSpell.complete('xyz')).to.equal([])
+
+		// a prefix is never deleted entirely
+		expect(terms(symSpell.complete('x'))).to.equal([])
+		expect(symSpell.complete('').map((item) => item.term)).to.equal(['the', 'there', 'received', 'then', 'receive', 'recipe', 'review', 'receiver'])
+
+		// the sorted words follow the changes of the dictionary
+		symSpell.createDictionaryEntry('thesis', 2000)
+		symSpell.deleteDictionaryEntry('there')
+		expect(terms(symSpell.complete('the', { limit: 3 }))).to.equal(['thesis:0:2000', 'the:0:1000', 'then:0:400'])
+
+		const layer = symSpell.createLayer('acme')
+		layer.createDictionaryEntry('thermostat', 5)
+		layer.createDictionaryEntry('then', 5000)
+		layer.hideWord('thesis')
+		expect(terms(layer.complete('the', { limit: 3 }))).to.equal(['then:0:5400', 'the:0:1000', 'thermostat:0:5'])
+		expect(terms(symSpell.complete('the', { limit: 3 }))).to.equal(['thesis:0:2000', 'the:0:1000', 'then:0:400'])
+	})
+
+	it('testLookupContext', async () => {
+		const symSpell = new SymSpell(2, 7, 1, { corpusSize: 'auto' })
+		await symSpell.loadDictionary([['i', 5000], ['went', 800], ['to', 20000], ['too', 3000], ['two', 2000], ['the', 30000], ['store', 500], ['tow', 50]], 0, 1)
+		await symSpell.loadBigramDictionary([['went to', 700], ['to the', 15000], ['too much', 300], ['two days', 200], ['the store', 100]], 0, 2)
+
+		// without context, a word is its own best suggestion
+		expect(symSpell.lookup('too', SymSpell.Verbosity.TOP)[0].term).to.equal('too')
+
+		const suggestions = symSpell.lookup('too', SymSpell.Verbosity.ALL, 1, { left: 'I went', right: 'the store' })
+		expect(suggestions[0].term).to.equal('to')
+		expect(suggestions.map((item) => item.term)).to.include(['too', 'two', 'tow'])
+		expect(suggestions[0].score).to.equal(symSpell.ngramScore(['went', 'to', 'the']) + Math.log10(0.01))
+
+		// one side of the context isn't enough to make up for the edit
+		expect(symSpell.lookup('too', SymSpell.Verbosity.TOP, 1, { right: 'the store' })[0].term).to.equal('too')
+		expect(symSpell.lookup('too', SymSpell.Verbosity.TOP, 1, { right: 'much' })[0].term).to.equal('too')
+		expect(symSpell.lookup('twoo', SymSpell.Verbosity.TOP, 1, { right: 'days' })[0].term).to.equal('two')
+
+		// unknown context words still leave the edit penalty
+		expect(symSpell.lookup('too', SymSpell.Verbosity.TOP, 1, { left: 'xyzzy', right: 'qwxz' })[0].term).to.equal('too')
+
+		expect(() => symSpell.lookup('too', SymSpell.Verbosity.TOP, 1, { left: 'went', score: () => 0 })).to.throw('The score option of lookup can\'t be combined with left or right')
+	})
+
+	it('testSuggestionProbability', async () => {
+		const symSpell = new SymSpell(2, 7, 1, { corpusSize: 1000 })
+		await symSpell.loadDictionary([['bank', 100], ['back', 200], ['the', 500], ['cat', 50]], 0, 1)
+
+		const suggestions = symSpell.lookup('bnak', SymSpell.Verbosity.ALL)
+		expect(suggestions.map((item) => item.probability)).to.equal([100 / 1000 * 0.01, 200 / 1000 * 0.01 * 0.01])
+		expect(symSpell.lookup('bank', SymSpell.Verbosity.TOP)[0].probability).to.equal(0.1)
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { weightedDistance: new SymSpell.WeightedEditDistance() })[0].probability).to.equal(0.1 * 0.01)
+
+		// the confidence is the share of the probability of all the suggestions, whatever the verbosity
+		const top = symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { confidence: true })
+		expect(top[0].confidence).to.equal(0.001 / (0.001 + 0.00002))
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { confidence: true }).reduce((sum, item) => sum + item.confidence, 0)).to.be.about(1, 1e-9)
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.TOP)[0].confidence).to.not.exist()
+
+		const unknown = symSpell.lookup('xyzq', SymSpell.Verbosity.TOP, 2, { includeUnknown: true, confidence: true })
+		expect(unknown[0].probability).to.equal(symSpell.unknownProbability('xyzq'))
+		expect(unknown[0].confidence).to.equal(1)
+
+		// an unknown word kept in a line counts with the probability lookup gives it
+		const unknownLine = symSpell.lookupCompound('the xqzv cat')[0]
+		expect(unknownLine.term).to.equal('the xqzv cat')
+		expect(unknownLine.probability).to.be.above(0)
+		expect(unknownLine.probability).to.be.about(0.5 * symSpell.unknownProbability('xqzv') * 0.05, 1e-15)
+
+		// with context, the probability of the word between the context words
+		await symSpell.loadBigramDictionary([['the bank', 50]], 0, 2)
+		const inContext = symSpell.lookup('bnak', SymSpell.Verbosity.TOP, 2, { left: 'the' })[0]
+		expect(inContext.term).to.equal('bank')
+		expect(inContext.probability).to.be.about(50 / 500 * 0.01, 1e-12)
+
+		const line = symSpell.lookupCompound('teh cta')[0]
+		expect(line.probability).to.be.about(0.5 * 0.05 * 0.01 * 0.01, 1e-12)
+		expect(symSpell.wordSegmentation('thecat').probability).to.be.about(0.5 * 0.05, 1e-12)
+
+		// a stable shape for JSON
+		expect(JSON.parse(JSON.stringify(top[0]))).to.equal({ term: 'bank', distance: 1, count: 100, probability: 0.001, confidence: top[0].confidence })
+		expect(Object.keys(new SymSpell.SuggestItem('bank', 1, 100).toJSON())).to.equal(['term', 'distance', 'count', 'probability'])
+		expect(new SymSpell.SuggestItem('bank', 1, 100).toJSON().probability).to.equal(null)
+
+		const layer = symSpell.createLayer('acme')
+		const layered = layer.lookup('bnak', SymSpell.Verbosity.TOP, 2, { weightedDistance: new SymSpell.WeightedEditDistance(), left: 'the' })[0]
+		expect(Object.keys(layered.toJSON())).to.equal(['term', 'distance', 'count', 'probability', 'score', 'weightedDistance', 'layer'])
+	})
+
+	it('testCaseAware', async () => {
+		const symSpell = new SymSpell(2, 7, 1, { caseAware: true })
+		await symSpell.loadDictionary([['iPhone', 30], ['iphone', 10], ['London', 50], ['i', 300], ['in', 200], ['an', 150], ['bought', 20]], 0, 1)
+
+		// matched case-insensitively, returned in the most frequent casing
+		const iphone = symSpell.lookup('iphnoe', SymSpell.Verbosity.TOP)[0]
+		expect(iphone.term).to.equal('iPhone')
+		expect(iphone.count).to.equal(40)
+		expect(symSpell.lookup('LONDON', SymSpell.Verbosity.TOP)[0].term).to.equal('London')
+		expect(symSpell.lookup('LONDON', SymSpell.Verbosity.TOP, 2, { canonicalCasing: false })[0].term).to.equal('london')
+		expect(symSpell.lookup('Inn', SymSpell.Verbosity.TOP, 2, { transferCasing: true })[0].term).to.equal('In')
+		expect(symSpell.lookup('Xyzzy', SymSpell.Verbosity.TOP, 2, { includeUnknown: true })[0].term).to.equal('Xyzzy')
+
+		expect(symSpell.lookupCompound('i bougt an iphnoe in lndon')[0].term).to.equal('i bought an iPhone in London')
+		expect(symSpell.lookupCompound('I bougt an iphnoe in lndon', 2, { transferCasing: true })[0].term).to.equal('I bought an iPhone in London')
+		expect(symSpell.wordSegmentation('iboughtaniphone').correctedString).to.equal('i bought an iPhone')
+		expect(symSpell.complete('lon')[0].term).to.equal('London')
+
+		const indexPath = path.join(os.tmpdir(), 'symspell-test-case-aware.idx')
+		await symSpell.save(indexPath)
+		const loaded = await SymSpell.load(indexPath)
+		fs.unlinkSync(indexPath)
+		expect(loaded.lookup('iphnoe', SymSpell.Verbosity.TOP)[0].term).to.equal('iPhone')
+
+		const layer = symSpell.createLayer('user')
+		layer.createDictionaryEntry('IPHONE', 100)
+		expect(layer.lookup('iphone', SymSpell.Verbosity.TOP)[0].term).to.equal('IPHONE')
+		expect(symSpell.lookup('iphone', SymSpell.Verbosity.TOP)[0].term).to.equal('iPhone')
+
+		symSpell.updateDictionaryEntry('london', 50)
+		expect(symSpell.lookup('London', SymSpell.Verbosity.TOP)[0].term).to.equal('london')
+		expect(symSpell.deleteDictionaryEntry('iPhone')).to.be.true()
+		expect(symSpell.lookup('iphone', SymSpell.Verbosity.TOP, 0)).to.equal([])
+	})
+
+	it('testEditScripts', async () => {
+		expect(EditDistance.align('kitten', 'sitting')).to.equal([
+			{ operation: 'substitute', sourcePosition: 0, targetPosition: 0, source: 'k', target: 's' },
+			{ operation: 'substitute', sourcePosition: 4, targetPosition: 4, source: 'e', target: 'i' },
+			{ operation: 'insert', sourcePosition: 6, targetPosition: 6, source: '', target: 'g' }
+		])
+
+		expect(EditDistance.align('bnak', 'bank')).to.equal([{ operation: 'transpose', sourcePosition: 1, targetPosition: 1, source: 'na', target: 'an' }])
+		expect(EditDistance.align('bnak', 'bank', EditDistance.Algorithm.LEVENSHTEIN).map((edit) => edit.operation)).to.equal(['substitute', 'substitute'])
+		expect(EditDistance.align('banks', 'bank')).to.equal([{ operation: 'delete', sourcePosition: 4, targetPosition: 4, source: 's', target: '' }])
+		expect(EditDistance.align('bank', 'bank')).to.equal([])
+
+		const symSpell = new SymSpell(2, 7, 1)
+		await symSpell.loadDictionary([['bank', 100], ['back', 200], ['the', 500], ['cat', 50]], 0, 1)
+
+		const suggestions = symSpell.lookup('bnak', SymSpell.Verbosity.ALL, 2, { edits: true })
+		expect(suggestions.map((item) => item.edits)).to.equal(suggestions.map((item) => EditDistance.align('bnak', item.term)))
+		expect(suggestions.every((item) => item.edits.length === item.distance)).to.be.true()
+		expect(symSpell.lookup('bnak', SymSpell.Verbosity.TOP).edits).to.not.exist()
+		expect(symSpell.lookup('xyzq', SymSpell.Verbosity.TOP, 2, { includeUnknown: true, edits: true })[0].edits).to.equal([])
+
+		const line = symSpell.lookupCompound('teh ct', 2, { edits: true })[0]
+		expect(line.term).to.equal('the cat')
+
+		expect(line.edits).to.equal([
+			{ operation: 'transpose', sourcePosition: 1, targetPosition: 1, source: 'eh', target: 'he' },
+			{ operation: 'insert', sourcePosition: 5, targetPosition: 5, source: '', target: 'a' }
+		])
+
+		expect(Object.keys(line.toJSON())).to.equal(['term', 'distance', 'count', 'probability', 'edits'])
+
+		// the unrestricted distance edits the transposed characters again
+		expect(EditDistance.align('ca', 'abc', EditDistance.Algorithm.DAMERAU)).to.equal([
+			{ operation: 'transpose', sourcePosition: 0, targetPosition: 0, source: 'ca', target: 'ac' },
+			{ operation: 'insert', sourcePosition: 1, targetPosition: 1, source: '', target: 'b' }
+		])
+
+		const damerau = new SymSpell(3, 7, 1, { distanceAlgorithm: EditDistance.Algorithm.DAMERAU })
+		await damerau.loadDictionary([['abc', 100]], 0, 1)
+		const transposed = damerau.lookup('ca', SymSpell.Verbosity.ALL, 3, { edits: true })[0]
+		expect(transposed.term).to.equal('abc')
+		expect(transposed.distance).to.equal(2)
+		expect(transposed.edits.map((edit) => edit.operation)).to.equal(['transpose', 'insert'])
+	})
 })
@@ -0,0 +1,104 @@
+const KeyboardLayouts = require('./keyboard-layouts')
+
+// Optimal string alignment distance (see EditDistance) where every kind of edit has its own cost, and substitutions can
+// cost less between some characters, e.g. the neighbouring keys of a keyboard layout which are mistyped more often.
+// Used by lookup with the weightedDistance option to rank suggestions: lookup still finds them with the unweighted distance.
+class WeightedEditDistance {
+	// layout: The rows of a keyboard layout (see SymSpell.KeyboardLayouts) whose neighbouring keys cost adjacentKeyCost, or null.
+	// adjacentKeyCost: The cost of substituting neighbouring keys of layout.
+	// substitutionCosts: The costs of substituting specific characters, as an object or Map of two characters ("ae") to a cost.
+	// They apply both ways and take precedence over the layout.
+	// substitutionCost: The cost of any other substitution.
+	// insertionCost: The cost of a character missing from string1 (compared to string2).
+	// deletionCost: The cost of a character of string1 missing from string2.
+	// transpositionCost: The cost of swapping two adjacent characters.
+	constructor ({
+		layout = KeyboardLayouts.QWERTY,
+		adjacentKeyCost = 0.5,
+		substitutionCosts = {},
+		substitutionCost = 1,
+		insertionCost = 1,
+		deletionCost = 1,
+		transpositionCost = 1
+	} = {}) {
+		this.adjacentKeys = (layout === null) ? new Map() : KeyboardLayouts.adjacentKeys(layout)
+		this.adjacentKeyCost = adjacentKeyCost
+		this.substitutionCosts = (substitutionCosts instanceof Map) ? substitutionCosts : new Map(Object.entries(substitutionCosts))
+		this.substitutionCost = substitutionCost
+		this.insertionCost = insertionCost
+		this.deletionCost = deletionCost
+		this.transpositionCost = transpositionCost
+	}
+
+	compare (string1, string2, maxDistance) {
+		return this.distance(string1, string2, maxDistance)
+	}
+
+	// returns -> The cost of substituting char1 with char2, 0 if they are the same.
+	cost (char1, char2) {
+		if (char1 === char2) {
+			return 0
+		}
+
+		const pair = char1 + char2
+
+		if (this.substitutionCosts.has(pair)) {
+			return this.substitutionCosts.get(pair)
+		}
+
+		const reversedPair = char2 + char1
+
+		if (this.substitutionCosts.has(reversedPair)) {
+			return this.substitutionCosts.get(reversedPair)
+		}
+
+		const neighbours = this.adjacentKeys.get(char1.toLowerCase())
+
+		if (neighbours !== undefined && neighbours.has(char2.toLowerCase())) {
+			return this.adjacentKeyCost
+		}
+
+		return this.substitutionCost
+	}
+
+	// Compute the weighted optimal string alignment distance between two strings.
+	// string1: The string being corrected.
+	// string2: The string it is compared to.
+	// maxDistance: The maximum distance that is of interest.
+	// returns -> -1 if the distance is greater than maxDistance, otherwise the sum of the costs of the cheapest edits turning string1 into string2.
+	distance (string1, string2, maxDistance = Number.MAX_SAFE_INTEGER) {
+		const len1 = string1.length
+		const len2 = string2.length
+		// rows of the costs for the previous two and the current characters of string1
+		let prevPrevCosts = new Array(len2 + 1)
+		let prevCosts = new Array(len2 + 1)
+		let costs = new Array(len2 + 1)
+
+		for (let j = 0; j <= len2; j++) {
+			costs[j] = j * this.insertionCost
+		}
+
+		for (let i = 1; i <= len1; i++) {
+			[prevPrevCosts, prevCosts, costs] = [prevCosts, costs, prevPrevCosts]
+			costs[0] = i * this.deletionCost
+
+			for (let j = 1; j <= len2; j++) {
+				let cost = Math.min(
+					prevCosts[j] + this.deletionCost,
+					costs[j - 1] + this.insertionCost,
+					prevCosts[j - 1] + this.cost(string1[i - 1], string2[j - 1])
+				)
+
+				if (i > 1 && j > 1 && string1[i - 1] === string2[j - 2] && string1[i - 2] === string2[j - 1]) {
+					cost = Math.min(cost, prevPrevCosts[j - 2] + this.transpositionCost)
+				}
+
+				costs[j] = cost
+			}
+		}
+
+		return (costs[len2] <= maxDistance) ? costs[len2] : -1
+	}
+}
+
+module.exports = WeightedEditDistance